@@ -1,38 +1,153 @@
 const routeParser = require('./lib/route-parser.js');
+const HttpError   = require('./lib/HttpError.js');
+const validator   = require('./lib/validator.js');
+
+// Verbs handled by the router, "all" is a catch-all matching any of them
+const METHODS      = [ "get", "post", "put", "patch", "delete" ];
+// Verbs carrying values from the renderer as req.body
+const BODY_METHODS = [ "post", "put", "patch", "delete" ];
+
+
+/*//
+
+	APIClass is an express-like router
+
+	- Middleware and routes are stacked in registration order,
+	  each layer is called as (req, res, next) or (err, req, res, next)
+	  for error middleware (4 arguments)
+
+	- A layer answers by returning a value or calling res(value),
+	  calling next() hands the request to the next matching layer,
+	  next(error) skips to the next error middleware
+
+	- use(path?, ...handlers) only runs for path and its sub-paths
+
+	- get(path, auth, handler) stacks handlers on a single route
+
+	- get(path, { schema: { params, query, body, response } }, handler)
+	  validates the request before the handlers run (422 on failure),
+	  params and query strings are coerced to the schema types.
+	  response is only checked outside of production (NODE_ENV)
+
+	- get(path, { name: "project" }, handler) names a route,
+	  url("project", { id: 42 }, { tab: "info" }) builds "/project/42?tab=info"
+
+	- use(path, router) mounts another APIClass (see Desktop.Router):
+	  inside the router req.url is relative to path, req.baseUrl holds the prefix
+
+	- APIClass.dispatch answers with an envelope { status, body, headers },
+	  or { status, error, headers } when a route threw or nothing matched (404)
+
+	- Returning an async iterable or a Readable stream streams the body,
+	  renderer side through _API_.stream (see Desktop.onStream)
+//*/
+
+
+// res(value) or res.send(value) ends the chain with value
+// res.status(code) and res.set(name, value) shape the envelope
+const createResponse = () => {
+	const res = (body) => res.send(body);
+	res.finished   = false;
+	res.body       = undefined;
+	res.statusCode = 200;
+	res.headers    = {};
+	res.send       = (body) => { res.finished = true; res.body = body; return res; };
+	res.status     = (code) => { res.statusCode = code; return res; };
+	res.set        = (name, value) => { res.headers[ name ] = value; return res; };
+	return res;
+};
+
 
 class APIClass {
-	#routes = { get: [], post: [], middleware: [] };
+	#stack  = [];
+	#names  = {};
+	#mounts = [];
 	constructor() {
 		this.hasRoutes   = false;
 
 		this.get         = this.get.bind(this);
 		this.use         = this.use.bind(this);
 		this.post        = this.post.bind(this);
-		this.getRoute    = this.getRoute.bind(this);
+		this.put         = this.put.bind(this);
+		this.patch       = this.patch.bind(this);
+		this.delete      = this.delete.bind(this);
+		this.all         = this.all.bind(this);
+		this.handle      = this.handle.bind(this);
+		this.url         = this.url.bind(this);
+		this.hasName     = this.hasName.bind(this);
 		this.throwErrorIfExists = this.throwErrorIfExists.bind(this);
 	}
 
-	use(middleware) {
-		this.#routes.middleware.push(middleware);
+	use(...handlers) {
+		const route = typeof handlers[0] === "string" ? handlers.shift() : "/";
+		this.#checkHandlers(handlers, "use", route);
+		// No parser on "/" as it matches everything
+		const path = route === "/" ? null : new routeParser(route, { end: false });
+		handlers.forEach((handler) => {
+			if (handler instanceof APIClass) {
+				this.#mounts.push({ route, path, router: handler });
+				handler = this.#mount(path, handler);
+			}
+			this.#stack.push({ route, path, handler });
+		});
 	}
 
-	get(route, callback) {
-		this.throwErrorIfExists(route, "get");
-		this.hasRoutes = true;
-		this.#routes.get.push({ path: new routeParser(route), callback: callback });
+	#mount(path, router) {
+		return async (req, res, next) => {
+			const url     = req.url;
+			const baseUrl = req.baseUrl;
+			const prefix  = path ? path.exec(url).path.replace(/\/$/, "") : "";
+			const restore = () => { req.url = url; req.baseUrl = baseUrl; };
+
+			req.baseUrl = baseUrl + (prefix && prefix[0] !== "/" ? "/" : "") + prefix;
+			req.url     = url.slice(prefix.length) || "/";
+			if (req.url[0] !== "/") { req.url = "/" + req.url; }
+
+			try {
+				// Unanswered requests leave the router with the original url
+				return await router.handle(req, res, (err) => { restore(); return next(err); });
+			} finally {
+				restore();
+			}
+		};
 	}
 
-	post(route, callback) {
-		this.throwErrorIfExists(route, "post");
+	get(route, ...callbacks)    { this.#addRoute(route, "get",    callbacks); }
+	post(route, ...callbacks)   { this.#addRoute(route, "post",   callbacks); }
+	put(route, ...callbacks)    { this.#addRoute(route, "put",    callbacks); }
+	patch(route, ...callbacks)  { this.#addRoute(route, "patch",  callbacks); }
+	delete(route, ...callbacks) { this.#addRoute(route, "delete", callbacks); }
+	all(route, ...callbacks)    { this.#addRoute(route, "all",    callbacks); }
+
+	#addRoute(route, method, callbacks) {
+		// Optional route options as first argument after the route
+		const options = isPlainObject(callbacks[0]) ? callbacks.shift() : {};
+		const schema  = options.schema;
+
+		this.#checkHandlers(callbacks, method, route);
+		this.throwErrorIfExists(route, method);
+		if (options.name && Object.hasOwn(this.#names, options.name)) throw new Error(`Route name "${ options.name }" already exists`);
 		this.hasRoutes = true;
-		this.#routes.post.push({ path: new routeParser(route), callback: callback });
+		const path = new routeParser(route);
+		if (options.name) { this.#names[ options.name ] = path; }
+		if (schema) { callbacks.unshift(validationHandler(schema, `[${ method }] ${ route }`)); }
+		callbacks.forEach((handler) => this.#stack.push({ route, path, method, handler, schema, name: options.name }));
+	}
+
+	#checkHandlers(handlers, method, route) {
+		if (handlers.length === 0) throw new Error(`[${ method }] ${ route } expects at least one handler`);
+		handlers.forEach((handler) => {
+			if (method === "use" && handler instanceof APIClass) return;
+			if (typeof handler !== "function") throw new Error(`[${ method }] ${ route } handlers should be functions`);
+		});
 	}
 
 	throwErrorIfExists(route, method) {
 		let exists = false;
-		let isWildcard = route[route.length - 1] === "*";
-		this.#routes[ method ].forEach((routeElement) => {
-			if (routeElement.path.match(route)) {
+		// Overlapping routes are allowed (eg: /projects/new and /projects/:id),
+		// only the exact same declaration is rejected
+		this.#stack.forEach((layer) => {
+			if (layer.method === method && layer.route === route) {
 				exists = true;
 			}
 		});
@@ -40,67 +155,255 @@ class APIClass {
 		if (exists) throw new Error(`Route [${ method }] ${ route } already exists`);
 	}
 
-	#getRouteAndParams(routeWithQueryParams) {
-		const routeAndQueryParams = routeWithQueryParams.split("?");
-		const route = routeAndQueryParams[0];
-		const query = {};
-		(routeAndQueryParams[1] || '').split("&").forEach((argWithValue) => {
-			const argAndValue = argWithValue.split("=");
-			if (argAndValue.length === 2) { query[ argAndValue[0] ] = argAndValue[1]; }
+
+	// Lists routes as { method, route, schema, name }, mounted routers
+	// included with their prefix (used by lib/typings.js)
+	describe(prefix = "") {
+		const routes = [];
+		const join   = (base, route) => (base.replace(/\/$/, "") + (route === "/" ? "" : route)) || "/";
+
+		this.#stack.forEach((layer) => {
+			if (!layer.method) return;
+			const route = join(prefix, layer.route);
+			// Stacked handlers are a single route
+			if (routes.some((e) => e.method === layer.method && e.route === route)) return;
+			routes.push({ method: layer.method, route, schema: layer.schema, name: layer.name });
+		});
+
+		this.#mounts.forEach(({ route, router }) => {
+			routes.push(...router.describe(join(prefix, route === "/" ? "" : route)));
 		});
-		return { route, query };
-	}
-
-	getRoute(routeWithQueryParams, method, callerWindow) {
-		let promise     = undefined;
-		const { route, query } = this.#getRouteAndParams(routeWithQueryParams);
-
-
-		for(let i = 0; i < this.#routes[ method ].length; i++) {
-			const matchedRoute = this.#routes[ method ][ i ].path.match(route);
-			if (matchedRoute) {
-				matchedRoute.__proto__.getWindow = () => { return callerWindow; }
-				promise = async (values) => {
-					let req = {
-						url: route,
-						method: method.toUpperCase(),
-						params: matchedRoute,
-						query: query,
-						pathname: routeWithQueryParams,
-						...(method === "post" ? { body: values } : {}),
-					};
-
-					const lastCallback = this.#routes[ method ][ i ].callback;
-
-					let result = undefined;
-					try {
-						if (this.#routes.middleware.length === 0) {
-							result = await lastCallback(req);
-						} else {
-							let cursor      = 0;
-							let breakpoint  = false;
-							let breakValue  = undefined;
-							const traceCall = [ ...this.#routes.middleware, lastCallback ];
-
-							for await (const middleware of traceCall) {
-								if (breakpoint) { return breakValue; }
-								const next = traceCall[ ++cursor ];
-								const res = (values) => { breakpoint = true; breakValue = values; };
-								result = await middleware(req, res, next);
-							}
-						}
-						return result;
-					} catch(error) {
-						console.log(error);
-						return error;
-					}
-				};
-				break
+		return routes;
+	}
+
+
+	// Reverse routing on named routes, looks into mounted routers too
+	url(name, params = {}, query) {
+		const path = this.#resolveName(name, params);
+		if (typeof path === "undefined") throw new Error(`No route named "${ name }"`);
+		return path + toQueryString(query);
+	}
+
+	// Named route declared here or in a mounted router
+	hasName(name) {
+		return Object.hasOwn(this.#names, name) || this.#mounts.some(({ router }) => router.hasName(name));
+	}
+
+	#resolveName(name, params) {
+		if (Object.hasOwn(this.#names, name)) return this.#names[ name ].encode(params);
+
+		for (const { path, router } of this.#mounts) {
+			const subPath = router.#resolveName(name, params);
+			if (typeof subPath === "undefined") continue;
+			const joined = (path ? path.encode(params) : "").replace(/\/$/, "") + subPath;
+			return joined.length > 1 ? joined.replace(/\/$/, "") : "/";
+		}
+		return undefined;
+	}
+
+
+	// Runs req through the stack, calls next(error?) if no layer answered
+	// so routers can be chained (see APIClass.dispatch)
+	handle(req, res, next, error) {
+		const method = req.method.toLowerCase();
+
+		const dispatch = async (index, error) => {
+			if (res.finished) return res.body;
+
+			for (let i = index; i < this.#stack.length; i++) {
+				const layer = this.#stack[ i ];
+				if (layer.method && layer.method !== "all" && layer.method !== method) continue;
+				// Error middleware only runs on errors, regular layers are skipped
+				if (Boolean(error) !== (layer.handler.length === 4)) continue;
+
+				const params = layer.path ? layer.path.match(req.url) : {};
+				if (!params) continue;
+
+				req.params = layer.schema && layer.schema.params ? validator.coerce(layer.schema.params, params) : params;
+				return this.#callLayer(layer, req, res, error, (err) => dispatch(i + 1, err));
+			}
+
+			return next(error);
+		};
+
+		return dispatch(0, error);
+	}
+
+
+	async #callLayer(layer, req, res, error, next) {
+		let nextCall = undefined;
+		const nextFn = (err) => {
+			if (!nextCall) { nextCall = next(err); }
+			return nextCall;
+		};
+
+		try {
+			const result = error
+				? await layer.handler(error, req, res, nextFn)
+				: await layer.handler(req, res, nextFn);
+
+			if (nextCall) return await nextCall;
+			return res.finished ? res.body : result;
+		} catch(err) {
+			// Already handled downstream, don't run the error chain twice
+			if (nextCall) throw err;
+			return next(err);
+		}
+	}
+
+
+	static createRequest({ url, method, body, headers, window, windowName, signal }) {
+		method = typeof method === "string" ? method.toLowerCase() : method;
+		if (METHODS.indexOf(method) < 0) throw new HttpError(405, `Unknown method "${ method }", options are: ${ METHODS.join(', ') }`);
+
+		const { route, query } = getRouteAndParams(url);
+		return {
+			url: route,
+			originalUrl: route,
+			baseUrl: "",
+			method: method.toUpperCase(),
+			params: {},
+			query: query,
+			pathname: url,
+			// Lowercase names, only set by requests over a protocol (see Desktop.protocol.api)
+			headers: headers || {},
+			getWindow: () => window,
+			// Name of the calling window, see createWindow({ name })
+			windowName: windowName,
+			// Aborted when a streamed response gets cancelled by the renderer
+			signal: signal,
+			...(BODY_METHODS.indexOf(method) > -1 ? { body } : {}),
+		};
+	}
+
+
+	// Runs a request through routers in order, each router picks up
+	// whatever the previous one didn't answer (eg: window router, then global)
+	static async dispatch(routers, options) {
+		const res = createResponse();
+
+		try {
+			const req = APIClass.createRequest(options);
+			const run = (index, error) => {
+				if (index >= routers.length) {
+					if (error) throw error;
+					throw new HttpError(404, `Cannot ${ req.method } ${ req.originalUrl }`);
+				}
+				return routers[ index ].handle(req, res, (err) => run(index + 1, err), error);
+			};
+
+			const body = await run(0);
+			return { status: res.statusCode, body, headers: res.headers };
+		} catch(error) {
+			return APIClass.errorEnvelope(error, res.headers);
+		}
+	}
+
+
+	// Async iterables (async generators, Readable streams) are streamed
+	// to the renderer instead of being sent as one value
+	static isStream(value) {
+		return Boolean(value) && typeof value[ Symbol.asyncIterator ] === "function";
+	}
+
+
+	static errorEnvelope(error, headers = {}) {
+		const httpError = HttpError.from(error);
+		// Unexpected errors are logged, HttpErrors are part of the flow
+		if (!(error instanceof HttpError)) { console.log(error); }
+		return {
+			status: httpError.status,
+			error: httpError.toJSON(),
+			headers: { ...headers, ...httpError.headers },
+		};
+	}
+}
+
+
+const isPlainObject = (value) => Boolean(value) && Object.getPrototypeOf(value) === Object.prototype;
+
+
+// First layer of routes declaring a schema, see APIClass.get
+function validationHandler(schema, routeName) {
+	const validateResponse = process.env.NODE_ENV !== "production";
+
+	return async (req, res, next) => {
+		const errors = [];
+		if (schema.params) {
+			errors.push(...validator.validate(schema.params, req.params, "/params"));
+		}
+		if (schema.query) {
+			req.query = validator.coerce(schema.query, req.query);
+			errors.push(...validator.validate(schema.query, req.query, "/query"));
+		}
+		if (schema.body) {
+			errors.push(...validator.validate(schema.body, req.body, "/body"));
+		}
+		if (errors.length > 0) {
+			throw new HttpError(422, `Invalid request for ${ routeName }`, { code: "VALIDATION_ERROR", details: { errors } });
+		}
+
+		const result = await next();
+		if (validateResponse && schema.response && res.statusCode < 400 && !APIClass.isStream(result)) {
+			const responseErrors = validator.validate(schema.response, result, "/response");
+			if (responseErrors.length > 0) {
+				throw new HttpError(500, `Invalid response from ${ routeName }`, { code: "INVALID_RESPONSE", details: { errors: responseErrors } });
 			}
 		}
+		return result;
+	};
+}
+
 
-		return promise;
+const decodeQueryValue = (value) => {
+	try {
+		return decodeURIComponent(value.replace(/\+/g, " "));
+	} catch(error) {
+		return value;
 	}
+};
+
+
+// ?tag=a&tag=b and ?tag[]=a both give { tag: [...] }
+function getRouteAndParams(routeWithQueryParams) {
+	const queryStart = routeWithQueryParams.indexOf("?");
+	let route        = queryStart > -1 ? routeWithQueryParams.slice(0, queryStart) : routeWithQueryParams;
+	const query      = {};
+	if (route[0] !== "/") { route = "/" + route; }
+
+	(queryStart > -1 ? routeWithQueryParams.slice(queryStart + 1) : "").split("&").forEach((argWithValue) => {
+		if (argWithValue.length === 0) return;
+		const separator = argWithValue.indexOf("=");
+		let key         = decodeQueryValue(separator > -1 ? argWithValue.slice(0, separator) : argWithValue);
+		const value     = separator > -1 ? decodeQueryValue(argWithValue.slice(separator + 1)) : "";
+		const isArray   = key.slice(-2) === "[]";
+		if (isArray) { key = key.slice(0, -2); }
+		// Would replace the prototype of req.query
+		if (key === "__proto__") return;
+
+		// Own keys only: ?toString=1 isn't merged with Object.prototype.toString
+		if (!Object.hasOwn(query, key)) {
+			query[ key ] = isArray ? [ value ] : value;
+		} else {
+			query[ key ] = [].concat(query[ key ], value);
+		}
+	});
+	return { route, query };
+}
+
+
+function toQueryString(query) {
+	if (!query || Object.keys(query).length === 0) return "";
+	const pairs = [];
+	Object.keys(query).forEach((key) => {
+		[].concat(query[ key ]).forEach((value) => {
+			if (typeof value === "undefined") return;
+			pairs.push(`${ encodeURIComponent(key) }=${ encodeURIComponent(value) }`);
+		});
+	});
+	return pairs.length > 0 ? "?" + pairs.join("&") : "";
 }
 
-module.exports = APIClass;
\ No newline at end of file
+APIClass.METHODS = METHODS;
+
+module.exports = APIClass;
@@ -1,9 +1,22 @@
-const { ipcMain, protocol, screen, app } = require('electron');
+const { ipcMain, protocol, screen, app, BrowserWindow } = require('electron');
+const fs              = require('fs');
+const path            = require('path');
 const API             = require('./API.js');
+const HttpError       = require('./lib/HttpError.js');
 const Screen          = require('./Screen.js');
 const Window          = require('./Window.js');
 const Settings        = require('./Settings.js');
+const Lifecycle       = require('./Lifecycle.js');
+const layout          = require('./lib/layout.js');
 const idGenerator     = require('./lib/idGenerator.js');
+// Settings key holding { windowName: { x, y, width, height, isMaximized, isFullScreen, screen } }
+const WINDOWS_STATE_KEY = "electrolite-windows-state";
+// Events emitted by electrolite itself: listened with electrolite.on, never emitted by windows
+const MAIN_EVENTS = [ "screens-changed", "second-instance", "deep-link" ];
+const { generateTypings } = require('./lib/typings.js');
+const { createStaticHandler } = require('./lib/serve.js');
+const { createAPIHandler, urlToRoute } = require('./lib/apiProtocol.js');
+const { isForbiddenKey } = require('./lib/permissions.js');
 
 
 /*//
@@ -22,6 +35,10 @@ const idGenerator     = require('./lib/idGenerator.js');
 
 	- Mode can be set to keepAlive or exitOnAllClose (default)
 
+	- init({ singleInstance, deepLink }): later launches and "myapp://route" links are
+	  forwarded as electrolite.on("second-instance" | "deep-link"), and to the global router
+	  for routes under deepLink.dispatch
+
 	- Quickstart:
 		const init = async () => {
 			// main.js
@@ -56,6 +73,9 @@ const idGenerator     = require('./lib/idGenerator.js');
 class DesktopClass {
 	#mode = "exitOnAllClose";
 	#allowedModes = ["keepAlive", "exitOnAllClose"];
+	// Schemes of protocol(), Electron only honours one registerSchemesAsPrivileged call, see init
+	#privilegedSchemes = [];
+	#schemesRegistered = false;
 
 	constructor() {
 		this.hasInit  = false;
@@ -68,12 +88,20 @@ class DesktopClass {
 		this.app = app;
 		// string name of API key passed to preaload to be accessed via window[ apiName ]
 		this.apiName = "_API_";
+		// Objects exposed next to window[ apiName ]: { name: { methods, values } }, see extendBridge
+		this.extensions = {};
 
 		// Screens: Dectect all screens
 		this.screens      = {};
 		this.screensOrder = [];
 		this.primary      = null;
 		this.hooks        = {};
+		// Listeners of MAIN_EVENTS, kept apart from the events windows emit
+		this.mainHooks    = {};
+		// Channels joined by windows: Map(channelName --> Set(windowIDs)), names come from renderers
+		this.channels     = new Map();
+		// Settings keys watched by windows: { windowID: { key: unwatch } }
+		this.settingsWatchers = {};
 
 		this.settings = Settings;
 
@@ -85,9 +113,36 @@ class DesktopClass {
 		this.init               = this.init.bind(this);
 		this.onEmit             = this.onEmit.bind(this);
 		this.onCallAPI          = this.onCallAPI.bind(this);
+		this.onStream           = this.onStream.bind(this);
+		this.onReply            = this.onReply.bind(this);
+		this.onEmitTo           = this.onEmitTo.bind(this);
+		this.onBroadcast        = this.onBroadcast.bind(this);
+		this.onChannel          = this.onChannel.bind(this);
+		this.onSettings         = this.onSettings.bind(this);
+		this.onExtension        = this.onExtension.bind(this);
 		// this.createWindow       = this.createWindow.bind(this);
 		this.onAllWindowsClosed = this.onAllWindowsClosed.bind(this);
 
+		// App events and shutdown handlers
+		this.lifecycle = new Lifecycle(app);
+		this.lifecycle.on("activate", () => { if (this.getWindows().length === 0) { this.#restoreMainWindow(); } });
+		this.lifecycle.onShutdown(() => this.settings.flushAll());
+		// Registered after the lifecycle listeners so lifecycle hooks run first:
+		// mode applies once all-windows-closed hooks are done, will-quit changes are written too
+		app.on("window-all-closed", this.onAllWindowsClosed);
+		app.on("will-quit", () => this.settings.flushAllSync());
+		// Specs of init({ mainWindow }), reopened on activate
+		this.mainWindowSpecs = undefined;
+		this.mainWindow      = undefined;
+		// init({ deepLink }): { scheme, dispatch, origins }, links received before init are queued
+		this.deepLink         = undefined;
+		this.pendingDeepLinks = [];
+
+		// Placement helpers applied on opened windows, see lib/layout.js
+		this.layout = {
+			grid: (windows, options) => this.#gridLayout(windows, options),
+		};
+
 		// Methods exported by this script
 		this.exportProps = [
 			"settings",         // Class an esay way to save data on disk
@@ -96,20 +151,57 @@ class DesktopClass {
 			"getScreenInfo",    // func  explicit
 			"get",              // func  express get
 			"post",             // func  express post
+			"put",              // func  express put
+			"patch",            // func  express patch
+			"delete",           // func  express delete
+			"all",              // func  express all, matches any verb
 			"use",              // func  express use
+			"Router",           // func  express Router, mounted via use
+			"url",              // func  build url from a named route
+			"generateTypings",  // func  .d.ts of window[ apiName ] from routes and events
 			"protocol",         // func  register schema
+			"serve",            // func  static files on a registered schema
+			"extendBridge",     // func  expose window[ name ] next to window[ apiName ]
 			"createWindow",     // func  explicit
+			"getWindow",        // func  window by name or id
+			"getWindows",       // func  all opened windows
+			"getFocusedWindow", // func  explicit
 			"init",             // func  required to prepare express
 			"emit",             // func  send event, data?
 			"on",               // func  listen to event
+			"request",          // func  call a handler on all windows, collect replies
+			"to",               // func  to(channel).emit(event, data?) windows of a channel
 			"mode",             // bool  close or keep alive on all windows closed
+			"lifecycle",        // obj   lifecycle.on(event, fn), lifecycle.onShutdown(fn, { timeout })
+			"layout",           // obj   layout.grid(windows, { cols, rows, gap, padding, screen })
 		].map((method) => {
 			if (typeof this[ method ] === "function") this[ method ] = this[ method ].bind(this);
 			return method;
 		});
 
+		// Classes are exported as-is, binding would break instanceof and extends
+		this.exportProps.push("HttpError");
+		this.HttpError = HttpError;
+
+		// Global routes over a scheme: protocol.api("api", { origins }) --> fetch("api://local/projects/42")
+		this.protocol.api = (scheme, options = {}) => {
+			if (!Array.isArray(options.origins) || options.origins.length === 0) throw new Error(`protocol.api("${ scheme }") expects origins allowed to call it, eg: { origins: [ "app://*" ] }`);
+			return this.#apiProtocol(scheme, options);
+		};
+
+		// Read by the preload before exposing anything
 		ipcMain.on("get-config", (event) => {
-			event.returnValue = { apiName: this.apiName };
+			const ctx_window = this.windowsStack[ this.#getIDFromEvent(event) ];
+			const extensions = {};
+			Object.keys(this.extensions).forEach((name) => {
+				const { methods, values } = this.extensions[ name ];
+				extensions[ name ] = { methods: Object.keys(methods), values };
+			});
+			event.returnValue = {
+				apiName: this.apiName,
+				extensions,
+				preload: ctx_window ? ctx_window.preloads : [],
+			};
 			return event;
 		});
 	}
@@ -127,28 +219,108 @@ class DesktopClass {
 	getScreenInfo(name) { return typeof name === "string" ? this.screens[ name ] : undefined; }
 
 	// Express-based methods
-	get(route, callback)  { this.API.get(route,  callback); return this; }  // chain events
-	post(route, callback) { this.API.post(route, callback); return this; } // chain events
-	use(middleware)       { this.API.use(middleware); return this; } // chain events
+	get(route, ...callbacks)    { this.API.get(route,    ...callbacks); return this; } // chain events
+	post(route, ...callbacks)   { this.API.post(route,   ...callbacks); return this; } // chain events
+	put(route, ...callbacks)    { this.API.put(route,    ...callbacks); return this; } // chain events
+	patch(route, ...callbacks)  { this.API.patch(route,  ...callbacks); return this; } // chain events
+	delete(route, ...callbacks) { this.API.delete(route, ...callbacks); return this; } // chain events
+	all(route, ...callbacks)    { this.API.all(route,    ...callbacks); return this; } // chain events, any verb
+	use(...handlers)            { this.API.use(...handlers); return this; } // chain events, use(path?, ...handlers)
+
+	// Standalone router to split routes by feature, mount it with use(path, router)
+	Router() { return new API(); }
+
+	// Builds the url of a named route: url("project", { id: 42 }, { tab: "info" })
+	url(name, params, query) { return this.API.url(name, params, query); }
+
+	// TypeScript declaration of window[ apiName ] from global routes, routes of
+	// the opened windows and the electrolite.on / win.on events
+	// options: { out: String path to write, apiName: String }
+	generateTypings(options = {}) {
+		const windows = Object.values(this.windowsStack);
+		const content = generateTypings({
+			apiName: options.apiName || this.apiName,
+			routes: [ ...windows.map((ctx_window) => ctx_window.API.describe()).flat(), ...this.API.describe() ],
+			events: [ ...Object.keys(this.hooks), ...windows.map((ctx_window) => Object.keys(ctx_window.hooks)).flat() ],
+		});
+
+		if (options.out) {
+			fs.mkdirSync(path.dirname(path.resolve(options.out)), { recursive: true });
+			fs.writeFileSync(options.out, content);
+		}
+		return content;
+	}
+
+
+	// Opened windows by name (createWindow({ name })) or id
+	getWindow(nameOrID) { return this.#findWindow(nameOrID); }
+	getWindows() { return Object.values(this.windowsStack); }
+	getFocusedWindow() {
+		const focused = BrowserWindow.getFocusedWindow();
+		return focused ? this.windowsStack[ idGenerator(focused.id) ] : undefined;
+	}
+
 
 	// Register custom schema (eg: app --> url="app://my/file.jpg")
-	protocol(name, callback) {
+	// privileges: extra privileges of the scheme, eg: { stream: true } for media
+	protocol(name, callback, privileges = {}) {
 		this.#failSafe("reverse");
 		// Init protocols only if called
 		if (!this.protocols) { this.protocols = {}; }
 		if (this.protocols[name]) throw new Error(`Protocol "${ name }" already exists.`);
+		if (this.#schemesRegistered) throw new Error(`Protocol "${ name }" must be registered before init`);
 
 		this.protocols[ name ] = callback;
-		protocol.registerSchemesAsPrivileged([{
+		this.#privilegedSchemes.push({
 			scheme: name,
-			privileges: { standard: true, secure: true, supportFetchAPI: true }
-		}]);
+			privileges: { standard: true, secure: true, supportFetchAPI: true, ...privileges }
+		});
+	}
+
+
+	// Exposes window[ name ] in every window, before init
+	// definition: functions run in main (promises renderer side), other values are copied
+	// electrolite.extendBridge("clipboard", { read: () => clipboard.readText(), platform: process.platform })
+	extendBridge(name, definition = {}) {
+		this.#failSafe("reverse");
+		if (typeof name !== "string" || !/^[a-z_$][a-z0-9_$]*$/i.test(name)) throw new Error(`Bridge extension names must be valid identifiers, got "${ name }"`);
+		if (name === this.apiName || Object.hasOwn(this.extensions, name)) throw new Error(`Bridge extension "${ name }" already exists`);
+		if (!definition || typeof definition !== "object") throw new Error(`Bridge extension "${ name }" expects an object`);
+
+		const methods = {};
+		const values  = {};
+		Object.keys(definition).forEach((key) => {
+			if (typeof definition[ key ] === "function") { methods[ key ] = definition[ key ]; }
+			else { values[ key ] = definition[ key ]; }
+		});
+		// Copied once through get-config: values must survive structured clone
+		try { structuredClone(values); } catch(error) { throw new Error(`Bridge extension "${ name }" values must be serializable`); }
+
+		this.extensions[ name ] = { methods, values };
 	}
 
-	createWindow(specsInfo) {
+
+	// Serves rootDir files on scheme, windows then load src: "app://bundle/index.html"
+	// rootDir is relative to the app path, see lib/serve.js for options
+	serve(scheme, rootDir, options = {}) {
+		if (typeof rootDir !== "string" || rootDir.trim().length === 0) throw new Error("serve expects a root directory");
+		const root = path.resolve(app.getAppPath(), rootDir);
+		if (!fs.existsSync(root)) throw new Error(`serve root "${ root }" doesn't exist`);
+		this.protocol(scheme, createStaticHandler(root, options), { stream: true });
+	}
+
+	createWindow(specsInfo = {}) {
 		/* specsInfo params:
-			* x:       Int(pixels) | String[ percent, "center", "min", "max" ]
-			* y:       Int(pixels) | String[ percent, "center", "min", "max" ]
+			* name:      String - unique name, see getWindow, defaults to the window id
+			* singleton: Boolean - focus and return the window already opened with this name
+			* rememberState: Boolean - save bounds, maximized/fullscreen state and screen of the
+			*          named window in settings, restored on next createWindow
+			*
+			* x:       Int(pixels) | String[ percent, "center", "min", "max", "50% - 40" ]
+			* y:       Int(pixels) | String[ percent, "center", "min", "max", "50% - 40" ]
+			* right:   Int(pixels) | String - distance to the right border, replaces x
+			* bottom:  Int(pixels) | String - distance to the bottom border, replaces y
+			* relativeTo, side, gap, align - place next to another window by name
 			* width:   Int(pixels) | String[ percent ] // "width = center" is nonsensical
 			* height:  Int(pixels) | String[ percent ] // "height = center" is nonsensical
 			*
@@ -158,6 +330,11 @@ class DesktopClass {
 			* screen:  String | Array(String) - screenName | "left" | "right")
 			*          Screen priority, mainScreen as default or if not found
 			*
+			* preload: String | Array(String) - scripts required after the bridge, in order,
+			*          relative to the app path (disables the sandbox of the window)
+			* settings: Object - { store, read, write } keys reachable through _API_.settings
+			*          store defaults to the main settings, see lib/permissions.js for patterns
+			*
 			* debug:   Boolean - Enable/Disable webTools on window
 			* type:    String - "background" | "borderless" | "glass" | "borderlessGlass" | "blurred" | "borderlessBlurred"
 			* raw:     Object - BrowserWindow options passed driectly to constructor
@@ -167,17 +344,42 @@ class DesktopClass {
 			* see #getScreenName     for screen
 		*/
 		this.#failSafe();
+		if (specsInfo.name) {
+			const existing = this.#findWindow(specsInfo.name);
+			if (existing && specsInfo.singleton) { existing.focus(); return existing; }
+			if (existing) throw new Error(`Window "${ specsInfo.name }" already exists, use singleton: true to reuse it`);
+		}
+
+		if (specsInfo.rememberState && !specsInfo.name) throw new Error(`rememberState expects a window name`);
+		const savedState = specsInfo.rememberState ? this.#getSavedWindowState(specsInfo.name) : undefined;
+
 		const winType    = this.#getWindowType(specsInfo);
 		const params     = { ...this.defaults.window, ...winType };
+		// Kept to place the window again when its screen goes away
+		const layoutSpecs = { ...params };
 		const screenName = this.#getScreenName(specsInfo.screen);
-		const specs      = this.#getWindowPosition(params, screenName);
+		let specs        = this.#getWindowPosition(params, screenName);
+		if (savedState) {
+			const { x, y, width, height } = savedState;
+			specs = { ...specs, x, y, width, height };
+		}
 
 		const window = new Window(specs, this);
+		window.layoutSpecs = layoutSpecs;
+		if (savedState && savedState.isMaximized)  { window.window.maximize(); }
+		if (savedState && savedState.isFullScreen) { window.window.setFullScreen(true); }
+		if (specsInfo.rememberState) { this.#trackWindowState(window); }
+
 		this.windowsStack[ window.id ] = window;
-		this.windowsStack[ window.id ].on('close', () => {
+		// On closed event --> remove id from stack
+		// (BrowserWindow event, win.on only listens to renderer events)
+		this.windowsStack[ window.id ].onWindowEvent('closed', () => {
 			delete this.windowsStack[ window.id ];
+			if (this.mainWindow === window) { this.mainWindow = undefined; }
+			Array.from(this.channels.keys()).forEach((channel) => this.#leaveChannel(channel, window.id));
+			Object.values(this.settingsWatchers[ window.id ] || {}).forEach((unwatch) => unwatch());
+			delete this.settingsWatchers[ window.id ];
 		});
-		// On close event --> remove id from stack
 		return this.windowsStack[ window.id ];
 	}
 
@@ -186,63 +388,312 @@ class DesktopClass {
 		if (options && options.apiName && options.apiName.length > 0) {
 			this.apiName = options.apiName;
 		}
+		if (Object.hasOwn(this.extensions, this.apiName)) throw new Error(`Bridge extension "${ this.apiName }" conflicts with the API name`);
 
-		await this.app.whenReady();
+		// One main process: later launches hand their argv over and quit
+		if (options && options.singleInstance) {
+			if (!app.requestSingleInstanceLock()) {
+				app.quit();
+				return undefined;
+			}
+			app.on("second-instance", (event, argv, cwd) => this.#onSecondInstance(argv, cwd));
+		}
+		// Before ready: schemes are registered as privileged and macOS sends open-url early
+		if (options && options.deepLink) { this.#setupDeepLink(options.deepLink); }
 
-		this.app.on('activate', () => {
-			console.log("activated");
-		}).on('window-all-closed', () => {
-			if (process.platform !== 'darwin') { this.app.quit(); }
-		});
+		// All at once: later calls would replace the privileges of the previous schemes
+		if (this.#privilegedSchemes.length > 0) { protocol.registerSchemesAsPrivileged(this.#privilegedSchemes); }
+		this.#schemesRegistered = true;
+
+		await this.app.whenReady();
 
 		this.hasInit = true;
 		await this.#detectScreens();
+		// Keep the screens registry in sync when docking/undocking
+		[ "display-added", "display-removed", "display-metrics-changed" ].forEach((event) => {
+			screen.on(event, () => this.#onScreensChanged());
+		});
 
-		ipcMain.on("callAPI", this.onCallAPI);
+		ipcMain.handle("callAPI", this.onCallAPI);
 		ipcMain.on("emit", this.onEmit);
-		app.on('window-all-closed', this.onAllWindowsClosed);
+		ipcMain.on("electrolite:stream", this.onStream);
+		ipcMain.on("electrolite:reply", this.onReply);
+		ipcMain.on("electrolite:emit-to", this.onEmitTo);
+		ipcMain.on("electrolite:broadcast", this.onBroadcast);
+		ipcMain.on("electrolite:channel", this.onChannel);
+		ipcMain.handle("electrolite:settings", this.onSettings);
+		ipcMain.handle("electrolite:extension", this.onExtension);
 
 		if (this.protocols) {
 			Object.keys(this.protocols).forEach((protocolName) => {
 				protocol.handle(protocolName, this.protocols[ protocolName ]);
 			});
 		}
+
+		// createWindow specs, named "main" by default, reopened on activate
+		if (options && options.mainWindow) {
+			this.mainWindowSpecs = { name: "main", ...options.mainWindow };
+			this.#restoreMainWindow();
+		}
+		this.lifecycle.emit("ready");
+
+		// Cold start: Windows and Linux pass the link in argv
+		const launchLink = this.#findDeepLink(process.argv);
+		if (launchLink) { this.pendingDeepLinks.push(launchLink); }
+		this.pendingDeepLinks.splice(0).forEach((url) => this.#onDeepLink(url));
+		return this.mainWindow;
 	}
 
 
 	// Sends ...data? from main to all window.on(eventName) 
 	emit() {
 		if (typeof arguments[0] !== "string" || arguments[0].trim().length === 0) throw new Error("emit expects a signal name");
-		Object.values(this.windowsStack).forEach((ctx_window) => { ctx_window.window.webContents.send(...arguments); });
+		// Windows not allowed to receive the event are skipped (see Window.emit)
+		Object.values(this.windowsStack).forEach((ctx_window) => { ctx_window.emit(...arguments); });
+	}
+
+
+	// Calls window._API_.handle(name) on every window and collects the replies
+	// as [{ id, value }, { id, error }], see Window.request for options
+	async request(name, args, options) {
+		const windows = Object.values(this.windowsStack);
+		const results = await Promise.allSettled(windows.map((ctx_window) => ctx_window.request(name, args, options)));
+		return results.map((result, i) => ({
+			id: windows[ i ].id,
+			...(result.status === "fulfilled" ? { value: result.value } : { error: result.reason }),
+		}));
+	}
+
+
+	// Sends ...data? to windows that joined channel with window._API_.join(channel)
+	// electrolite.to("doc:42").emit("saved", data)
+	to(channel) {
+		return {
+			emit: (eventName, ...data) => {
+				if (typeof eventName !== "string" || eventName.trim().length === 0) throw new Error("emit expects a signal name");
+				this.#getChannelWindows(channel).forEach((ctx_window) => ctx_window.emit(eventName, ...data));
+			}
+		};
 	}
 
 
 	// Listens to eventName from any window._API_.emit(eventName, ...data?)
 	on(eventName, callback) {
-		if (!this.hooks[eventName]) { this.hooks[eventName] = []; }
-		this.hooks[ eventName ].push(callback);
+		const hooks = MAIN_EVENTS.indexOf(eventName) > -1 ? this.mainHooks : this.hooks;
+		if (!hooks[eventName]) { hooks[eventName] = []; }
+		hooks[ eventName ].push(callback);
 	}
 
 
 	//////////////////////////////// Context bridges
 
 
-	async onCallAPI (event, route, method, values) {
-		const res = await this.windowsStack[ this.#getIDFromEvent(event) ].apply(route, method, values);
-		event.returnValue = res;
-		return event;
+	// Handled through ipcMain.handle: each call resolves on its own, so a slow
+	// route doesn't block the renderer nor the other requests in flight
+	async onCallAPI(event, id, route, method, values) {
+		const ctx_window = this.windowsStack[ this.#getIDFromEvent(event) ];
+		const denied     = this.#checkSender(ctx_window, event);
+		let envelope     = denied || await ctx_window.apply(route, method, values);
+
+		if (API.isStream(envelope.body)) {
+			this.#closeStream(envelope.body);
+			envelope = API.errorEnvelope(new HttpError(406, `[${ method }] ${ route } answers with a stream, use ${ this.apiName }.stream instead`));
+		}
+		return { id, ...envelope };
+	}
+
+
+	// Streams a route response over the MessagePort sent by _API_.stream
+	// port messages: start --> chunk* --> end | error
+	// Cancelling from the renderer aborts req.signal and stops the iterator,
+	// main cancels by ending the iterable or throwing from it
+	async onStream(event, { route, method, values }) {
+		const port       = event.ports[0];
+		const ctx_window = this.windowsStack[ this.#getIDFromEvent(event) ];
+		const controller = new AbortController();
+		let iterator     = undefined;
+
+		const cancel = () => {
+			if (controller.signal.aborted) return;
+			controller.abort();
+			if (iterator && typeof iterator.return === "function") {
+				Promise.resolve(iterator.return()).catch(() => {});
+			}
+		};
+
+		port.on("message", ({ data }) => { if (data && data.type === "cancel") { cancel(); port.close(); } });
+		port.on("close", cancel);
+		port.start();
+
+		const denied   = this.#checkSender(ctx_window, event);
+		const envelope = denied || await ctx_window.apply(route, method, values, { signal: controller.signal });
+
+		if (controller.signal.aborted) return;
+		if (envelope.error) {
+			port.postMessage({ type: "error", error: envelope.error });
+			port.close();
+			return;
+		}
+
+		port.postMessage({ type: "start", status: envelope.status, headers: envelope.headers });
+		try {
+			if (!API.isStream(envelope.body)) {
+				// Single values are sent as a one-chunk stream
+				port.postMessage({ type: "chunk", data: envelope.body });
+			} else {
+				iterator = envelope.body[ Symbol.asyncIterator ]();
+				while (!controller.signal.aborted) {
+					const { value, done } = await iterator.next();
+					if (done || controller.signal.aborted) break;
+					port.postMessage({ type: "chunk", data: value });
+				}
+			}
+			if (!controller.signal.aborted) { port.postMessage({ type: "end" }); }
+		} catch(error) {
+			if (!controller.signal.aborted) { port.postMessage({ type: "error", error: API.errorEnvelope(error).error }); }
+		} finally {
+			port.close();
+		}
+	}
+
+
+	// Replies to Window.request, ids only make sense per window
+	onReply(event, reply) {
+		const ctx_window = this.windowsStack[ this.#getIDFromEvent(event) ];
+		if (ctx_window && reply) { ctx_window.onReply(reply); }
+	}
+
+
+	// window._API_.emitTo(windowName, eventName, ...data?)
+	onEmitTo(event, target, eventName, ...data) {
+		const sender = this.#getSender(event, eventName);
+		if (!sender) return false;
+
+		const ctx_window = this.#findWindow(target);
+		if (!ctx_window) {
+			console.warn(`[electrolite] ${ sender.id } emitTo "${ eventName }": no window named "${ target }"`);
+			return false;
+		}
+		return ctx_window.emit(eventName, ...data);
+	}
+
+
+	// window._API_.broadcast(eventName, data?, { excludeSelf?, channel? })
+	onBroadcast(event, eventName, data, options) {
+		const sender = this.#getSender(event, eventName);
+		if (!sender) return false;
+		// Sent by the renderer: null or anything but an object is refused, not thrown
+		options = options || {};
+		if (typeof options !== "object" || Array.isArray(options)) return false;
+		if (options.channel !== undefined && options.channel !== null && typeof options.channel !== "string") return false;
+
+		const targets = options.channel ? this.#getChannelWindows(options.channel) : Object.values(this.windowsStack);
+		targets
+			.filter((ctx_window) => !(options.excludeSelf && ctx_window === sender))
+			.forEach((ctx_window) => ctx_window.emit(eventName, data));
+		return true;
+	}
+
+
+	// window._API_.join(channel) / window._API_.leave(channel)
+	onChannel(event, action, channel) {
+		const ctx_window = this.windowsStack[ this.#getIDFromEvent(event) ];
+		if (!ctx_window || !ctx_window.isAllowedSender(event)) return false;
+		if (typeof channel !== "string" || channel.trim().length === 0) return false;
+
+		if (action === "join") {
+			if (!this.channels.has(channel)) { this.channels.set(channel, new Set()); }
+			this.channels.get(channel).add(ctx_window.id);
+		} else if (action === "leave") {
+			this.#leaveChannel(channel, ctx_window.id);
+		}
+		return true;
+	}
+
+
+	// window._API_.settings.get/set/watch/unwatch, resolves with { value } or { error }
+	// Keys are checked against createWindow({ settings: { read, write } })
+	onSettings(event, action, key, value) {
+		const ctx_window = this.windowsStack[ this.#getIDFromEvent(event) ];
+		const denied     = this.#checkSender(ctx_window, event);
+		if (denied) return { error: denied.error };
+
+		try {
+			if (typeof key !== "string" || key.trim().length === 0) throw new HttpError(400, "Settings expect a key");
+			if (isForbiddenKey(key)) throw new HttpError(400, `Setting "${ key }" is not a valid key`);
+			const access = action === "set" ? ctx_window.permissions.canWriteSetting(key) : ctx_window.permissions.canReadSetting(key);
+			if (!access) {
+				ctx_window.logDenied(`settings ${ action } "${ key }"`);
+				throw new HttpError(403, `Setting "${ key }" is not ${ action === "set" ? "writable" : "readable" } for this window`);
+			}
+
+			const store    = this.settings.store((ctx_window.specs.settings || {}).store || "default");
+			const watchers = this.settingsWatchers[ ctx_window.id ] || (this.settingsWatchers[ ctx_window.id ] = {});
+			switch (action) {
+				case "get": return { value: store.get(key) };
+				case "set":
+					store.set(key, value);
+					return { value: store.get(key) };
+				case "watch":
+					// One watcher per key and window, the renderer dispatches to its callbacks
+					if (!watchers[ key ]) {
+						watchers[ key ] = store.watch(key, (newValue, previous) => {
+							if (ctx_window.window.isDestroyed()) return;
+							ctx_window.window.webContents.send("electrolite:settings-changed", { key, value: newValue, previous });
+						});
+					}
+					return { value: store.get(key) };
+				case "unwatch":
+					if (watchers[ key ]) { watchers[ key ](); delete watchers[ key ]; }
+					return { value: true };
+				default: throw new HttpError(400, `Unknown settings action "${ action }"`);
+			}
+		} catch(error) {
+			const httpError = error.code === "INVALID_SETTING" ? new HttpError(422, error.message, { code: error.code, details: error.details }) : error;
+			return { error: API.errorEnvelope(httpError).error };
+		}
+	}
+
+
+	// window[ name ].method(...args) of extendBridge, resolves with { value } or { error }
+	// Checked against window permissions as the route "EXTENSION /name/method"
+	async onExtension(event, name, method, args = []) {
+		const ctx_window = this.windowsStack[ this.#getIDFromEvent(event) ];
+		const denied     = this.#checkSender(ctx_window, event);
+		if (denied) return { error: denied.error };
+
+		try {
+			// Own members only: "constructor", "valueOf"... aren't extension methods
+			const extension = typeof name === "string" && Object.hasOwn(this.extensions, name) ? this.extensions[ name ] : undefined;
+			if (!extension || typeof method !== "string" || !Object.hasOwn(extension.methods, method) || typeof extension.methods[ method ] !== "function") throw new HttpError(404, `No bridge extension ${ name }.${ method }`);
+			if (!ctx_window.permissions.canCall("extension", `/${ name }/${ method }`)) {
+				ctx_window.logDenied(`extension ${ name }.${ method }`);
+				throw new HttpError(403, `${ name }.${ method } is not allowed for this window`);
+			}
+			// this.window: calling Window
+			return { value: await extension.methods[ method ].apply({ window: ctx_window }, args) };
+		} catch(error) {
+			return { error: API.errorEnvelope(error).error };
+		}
 	}
 
 
 	onEmit() {
 		const args = Array.from(arguments); const event = args.shift();
 		const eventName = args[0];// args[1] before shift
-		this.windowsStack[ this.#getIDFromEvent(event) ].onEvent(...args);
+		const ctx_window = this.windowsStack[ this.#getIDFromEvent(event) ];
+		if (!ctx_window || !ctx_window.isAllowedSender(event)) return false;
+		if (MAIN_EVENTS.indexOf(eventName) > -1 || !ctx_window.permissions.canEmit(eventName)) {
+			ctx_window.logDenied(`emit "${ eventName }"`);
+			return false;
+		}
+
+		ctx_window.onEvent(...args);
 		if (this.hooks[ eventName ]) { this.hooks[ eventName ].forEach((ctx_window) => ctx_window(...args)); }
-		event.returnValue = true;
 		return true;
 	}
 
+	// Runs after lifecycle "all-windows-closed" hooks, see constructor
 	onAllWindowsClosed() {
 		if (this.#mode !== "keepAlive") {
 			  // On OS X it is common for applications and their menu bar
@@ -257,6 +708,156 @@ class DesktopClass {
 	//////////////////////////////// Private Methods
 
 
+	// deepLink: "myapp" | { scheme: "myapp", dispatch: "/open", origins: [ "app://*" ] }
+	// Links come from the OS (anyone can craft one): only routes under dispatch are reached
+	#setupDeepLink(deepLink) {
+		const { scheme, dispatch, origins = [] } = typeof deepLink === "string" ? { scheme: deepLink } : deepLink;
+		if (typeof scheme !== "string" || !/^[a-z][a-z0-9+.-]*$/i.test(scheme)) throw new Error(`Invalid deep link scheme "${ scheme }"`);
+		if (typeof dispatch !== "undefined" && (typeof dispatch !== "string" || !/^\/[^?#]+$/.test(dispatch))) throw new Error(`Deep link dispatch expects a route prefix, eg: "/open", got "${ dispatch }"`);
+		this.deepLink = { scheme, dispatch: dispatch && dispatch.replace(/\/+$/, "") };
+
+		// fetch("myapp://open/...") from the listed origins reaches the same routes, nothing without origins
+		this.#apiProtocol(scheme, { host: true, origins, filter: (route) => this.#isDeepLinkRoute(route) });
+		if (process.defaultApp && process.argv.length >= 2) {
+			// Unpackaged (electron .): the OS has to relaunch electron with the app path
+			app.setAsDefaultProtocolClient(scheme, process.execPath, [ path.resolve(process.argv[1]) ]);
+		} else {
+			app.setAsDefaultProtocolClient(scheme);
+		}
+		app.on("open-url", (event, url) => {
+			event.preventDefault();
+			this.#onDeepLink(url);
+		});
+	}
+
+
+	// "/open/project/42?a=1" is under "/open", "/opener" isn't
+	#isDeepLinkRoute(route) {
+		const prefix = this.deepLink && this.deepLink.dispatch;
+		if (!prefix) return false;
+		const pathname = route.split("?")[0];
+		return pathname === prefix || pathname.startsWith(`${ prefix }/`);
+	}
+
+
+	#findDeepLink(argv = []) {
+		if (!this.deepLink) return undefined;
+		return argv.filter((arg) => typeof arg === "string" && arg.toLowerCase().startsWith(`${ this.deepLink.scheme.toLowerCase() }:`))[0];
+	}
+
+
+	// Focuses the main window, then calls electrolite.on("second-instance", ({ argv, cwd, url }) => {})
+	#onSecondInstance(argv, cwd) {
+		const target = this.mainWindow || this.getFocusedWindow() || this.getWindows()[0];
+		if (target && !target.window.isDestroyed()) { target.focus(); }
+
+		const url = this.#findDeepLink(argv);
+		this.#emitMain("second-instance", { argv, cwd, url });
+		if (url) { this.#onDeepLink(url); }
+	}
+
+
+	// deepLink: { dispatch: "/open" } "myapp://open/project/42" --> GET /open/project/42 on the global router,
+	// then electrolite.on("deep-link", ({ url, response }) => {}), response being the envelope (undefined if not dispatched)
+	async #onDeepLink(url) {
+		if (!this.hasInit) {
+			this.pendingDeepLinks.push(url);
+			return;
+		}
+
+		let response = undefined;
+		let route    = undefined;
+		try { route = urlToRoute(url, true); } catch(error) { console.warn(`[electrolite] invalid deep link ${ url }`); }
+		if (route && this.#isDeepLinkRoute(route)) {
+			try {
+				response = await API.dispatch([ this.API ], { url: route, method: "get" });
+			} catch(error) {
+				response = API.errorEnvelope(error);
+			}
+			if (response.error) { console.warn(`[electrolite] deep link ${ url }: ${ response.error.message }`); }
+		}
+
+		this.#emitMain("deep-link", { url, response });
+	}
+
+
+	// Opens init({ mainWindow }) when it isn't, eg: dock icon clicked once all windows closed
+	#restoreMainWindow() {
+		if (!this.mainWindowSpecs || !this.hasInit) return;
+		const existing = this.#findWindow(this.mainWindowSpecs.name);
+		this.mainWindow = existing || this.createWindow(this.mainWindowSpecs);
+	}
+
+
+	// Window sending eventName to other windows, undefined if not allowed to
+	#getSender(event, eventName) {
+		const ctx_window = this.windowsStack[ this.#getIDFromEvent(event) ];
+		if (!ctx_window || !ctx_window.isAllowedSender(event)) return undefined;
+		if (typeof eventName !== "string" || eventName.trim().length === 0) return undefined;
+		if (!ctx_window.permissions.canEmit(eventName)) {
+			ctx_window.logDenied(`emit "${ eventName }"`);
+			return undefined;
+		}
+		return ctx_window;
+	}
+
+
+	// By id or by name, own entries only: "constructor", "hasOwnProperty"... are no windows
+	#findWindow(nameOrID) {
+		if (typeof nameOrID === "string" && Object.hasOwn(this.windowsStack, nameOrID)) return this.windowsStack[ nameOrID ];
+		return Object.values(this.windowsStack).filter((ctx_window) => ctx_window.name === nameOrID)[0];
+	}
+
+
+	#getChannelWindows(channel) {
+		return Array.from(this.channels.get(channel) || []).map((id) => this.windowsStack[ id ]).filter(Boolean);
+	}
+
+
+	#leaveChannel(channel, windowID) {
+		const members = this.channels.get(channel);
+		if (!members) return;
+		members.delete(windowID);
+		if (members.size === 0) { this.channels.delete(channel); }
+	}
+
+
+	// Releases a stream that won't be read: Node streams are destroyed (file descriptors),
+	// generators and iterators are returned so their finally blocks run
+	#closeStream(body) {
+		try {
+			if (typeof body.destroy === "function") { body.destroy(); return; }
+			const iterator = typeof body.return === "function" ? body : body[ Symbol.asyncIterator ]();
+			if (typeof iterator.return === "function") { Promise.resolve(iterator.return()).catch(() => {}); }
+		} catch(error) {
+			console.log(error);
+		}
+	}
+
+
+	// Same middleware chain as the bridge, minus the window router and
+	// permissions: protocol requests don't tell which window sent them
+	// options.filter: (route) => Boolean, routes refused answer 404, see #setupDeepLink
+	#apiProtocol(scheme, options = {}) {
+		const { filter, ...handlerOptions } = options;
+		const dispatch = (requestOptions) => {
+			if (filter && !filter(requestOptions.url)) {
+				return API.errorEnvelope(new HttpError(404, `Cannot ${ requestOptions.method.toUpperCase() } ${ requestOptions.url.split("?")[0] }`));
+			}
+			return API.dispatch([ this.API ], requestOptions);
+		};
+		this.protocol(scheme, createAPIHandler(dispatch, handlerOptions), { corsEnabled: true, stream: true });
+	}
+
+
+	// Error envelope if the sender can't reach the routes, undefined otherwise
+	#checkSender(ctx_window, event) {
+		if (!ctx_window) return API.errorEnvelope(new HttpError(500, `No window registered for sender ${ event.sender.id }`));
+		if (!ctx_window.isAllowedSender(event)) return API.errorEnvelope(new HttpError(403, "Sender origin is not allowed"));
+		return undefined;
+	}
+
+
 	#getIDFromEvent(event) {
 		return idGenerator(event.sender.id);
 	}
@@ -276,9 +877,14 @@ class DesktopClass {
 	async #detectScreens() {
 		this.#failSafe();
 		// Internal function to detect screens used by Window
+		// Rebuilds the registry, returns the diff with the previous one
+		const previous = this.screens;
 		const displays = screen.getAllDisplays();
 		const primary  = { id: screen.getPrimaryDisplay().id };
-		displays.sort((a,b) => a.workArea.x > b.workArea.x ? 0 : -1).map((screenInfo) => {
+
+		this.screens      = {};
+		this.screensOrder = [];
+		displays.sort((a,b) => a.workArea.x - b.workArea.x).map((screenInfo) => {
 			const screenElement = new Screen(screenInfo, primary.id);
 			this.screensOrder.push(screenElement.id);
 			this.screens[ screenElement.id ] = screenElement;
@@ -286,66 +892,155 @@ class DesktopClass {
 
 		const hasPrimary = Object.values(this.screens).filter(e => e.primary)[0];
 		this.primary = hasPrimary ? hasPrimary.id : Object.keys(this.screens)[0];
+
+		const geometry = (e) => [ e.x, e.y, e.width, e.height, e.primary ].join();
+		return {
+			added:   Object.values(this.screens).filter((e) => !previous[ e.id ]),
+			removed: Object.values(previous).filter((e) => !this.screens[ e.id ]),
+			changed: Object.values(this.screens).filter((e) => previous[ e.id ] && geometry(previous[ e.id ]) !== geometry(e)),
+			screens: [ ...this.screensOrder ],
+		};
+	}
+
+
+	// Refreshes screens, moves windows left on a removed screen or now
+	// off-screen back inside a screen from their original specs,
+	// then calls electrolite.on("screens-changed", (diff) => {})
+	async #onScreensChanged() {
+		const previousScreens = this.screens;
+		const windowsScreens  = {};
+		Object.values(this.windowsStack).forEach((ctx_window) => {
+			if (ctx_window.window.isDestroyed()) return;
+			windowsScreens[ ctx_window.id ] = this.#getScreenOfBounds(ctx_window.window.getBounds(), previousScreens);
+		});
+
+		const diff    = await this.#detectScreens();
+		const removed = diff.removed.map((e) => e.id);
+
+		Object.values(this.windowsStack).forEach((ctx_window) => {
+			if (ctx_window.window.isDestroyed() || ctx_window.window.isFullScreen()) return;
+			const bounds   = ctx_window.window.getBounds();
+			const onScreen = Object.values(this.screens).some((screenElement) => this.#isVisibleOn(bounds, screenElement));
+			if (onScreen && removed.indexOf(windowsScreens[ ctx_window.id ]) < 0) return;
+
+			// Percent and center values are recomputed for the new screen
+			const layoutSpecs = { ...ctx_window.layoutSpecs };
+			const specs       = this.#getWindowPosition(layoutSpecs, this.#getScreenName(layoutSpecs.screen));
+			ctx_window.window.setBounds({ x: specs.x, y: specs.y, width: specs.width, height: specs.height });
+		});
+
+		this.#emitMain("screens-changed", diff);
+	}
+
+
+	// MAIN_EVENTS listeners, a failing one doesn't stop the others
+	#emitMain(eventName, payload) {
+		(this.mainHooks[ eventName ] || []).forEach((callback) => {
+			try {
+				callback(payload);
+			} catch(error) {
+				console.log(error);
+			}
+		});
 	}
 
 
 	#getWindowPosition(specs, screenName = this.primary) {
 		this.#failSafe();
-		/* specsInfo[ width | height | x | y ] params  String
+		/* specsInfo[ width | height | x | y | right | bottom ] params  String
 			* Accepts:  String[Int, Float]%, "center", "min", "max", Int // Pixels
+			*           calc-style sums: "50% - 40", "center + 10"
 			* Default:  "center"
 			* Example:  { x: "min", y: "center", width: "20%", height: 400 },
 			// -------> x at minimum of screen (see "screen" on #getScreenName),
 			// -------> y at center of screen, width at 20% of screen width, height of 400 pixels
+			* Anchors:  { right: 20, bottom: 20 } sticks the window to the bottom right corner
+			* Relative: { relativeTo: "main", side: "right", gap: 8 } next to the window named "main"
+			* see lib/layout.js
 		*/
 
-		const mainScreen = this.screens[ screenName ];
-		const padding    = Number.isInteger(parseInt(specs.padding)) ? parseInt(specs.padding) : this.defaults.window.padding;
+		const related    = specs.relativeTo ? this.#findWindow(specs.relativeTo) : undefined;
+		const relative   = related && !related.window.isDestroyed() ? related.window.getBounds() : undefined;
+		// Next to a window: placed and clamped on the screen holding it, not on specs.screen
+		const mainScreen = this.screens[ relative ? this.#getScreenOfBounds(relative) : screenName ];
+		const bounds     = layout.computeBounds(specs, mainScreen, { padding: this.defaults.window.padding, relative });
 
-		const translateString = (str, originValue, isSize) => {
-			const positions = {
-				center(origin) { return origin * 0.5; },
-				min   (origin) { return 0; },
-				max   (origin) { return origin; },
-			};
+		return { ...specs, ...bounds };
+	}
 
-			if (str.match(/[0-9]+(\.[0-9]{1,2})?%$/)) {
-				// Percent value
-				const percent = parseFloat(str);
-				return originValue * (percent/100);
-			} else if (positions[ str ]) {
-				if (isSize) throw new Error(`Values such as center or min are not accepted on with/height`);
-				return positions[ str ](originValue);
-			}
 
-			return originValue;
-		};
+	// Tiles windows (instances, names or ids) on a screen, returns the bounds applied
+	#gridLayout(windows = this.getWindows(), options = {}) {
+		this.#failSafe();
+		const ctx_windows = windows
+			.map((ctx_window) => typeof ctx_window === "string" ? this.#findWindow(ctx_window) : ctx_window)
+			.filter((ctx_window) => ctx_window && !ctx_window.window.isDestroyed());
+		const padding = Number.isInteger(options.padding) ? options.padding : this.defaults.window.padding;
+		const cells   = layout.grid(ctx_windows.length, { ...options, padding }, this.screens[ this.#getScreenName(options.screen) ]);
+
+		ctx_windows.forEach((ctx_window, i) => {
+			if (!cells[ i ]) return;
+			if (ctx_window.window.isMaximized()) { ctx_window.window.unmaximize(); }
+			ctx_window.window.setBounds(cells[ i ]);
+		});
+		return cells;
+	}
 
-		const props = {
-			x(spec)      { return translateString(spec, mainScreen.width  - specs.width); },
-			y(spec)      { return translateString(spec, mainScreen.height - specs.height); },
-			height(spec) { return translateString(spec, mainScreen.height, true); },
-			width(spec)  { return translateString(spec, mainScreen.width,  true); },
-		};
 
-		const applyProp = (spec) => {
-			const value = specs[ spec ];
-			if (typeof value === 'string' && props[ spec ]) {
-				specs[ spec ] = parseInt(props[ spec ]( value ));
-			}
-		};
+	// Saved state of a named window, undefined if its screen is gone or
+	// if the saved bounds aren't visible anymore (spec position applies)
+	#getSavedWindowState(name) {
+		const state = (this.settings.get(WINDOWS_STATE_KEY) || {})[ name ];
+		if (!state || !this.screens[ state.screen ]) return undefined;
+
+		return this.#isVisibleOn(state, this.screens[ state.screen ]) ? state : undefined;
+	}
+
+
+	// Enough of the window and its title bar are on screenElement to move it
+	#isVisibleOn(bounds, screenElement) {
+		const { x, y, width, height } = screenElement;
+		const overlapX = Math.min(bounds.x + bounds.width, x + width) - Math.max(bounds.x, x);
+		return overlapX >= Math.min(100, bounds.width) && bounds.y >= y && bounds.y < y + height - 40;
+	}
 
-		[ "width", "height" ].forEach(applyProp);
-		[ "x", "y" ].forEach(applyProp);
 
-		specs.x = specs.x + mainScreen.x;
-		specs.y = specs.y + mainScreen.y;
+	#trackWindowState(ctx_window) {
+		const browserWindow = ctx_window.window;
+		let timer = undefined;
+
+		const save = () => {
+			clearTimeout(timer);
+			if (browserWindow.isDestroyed()) return;
+			// Normal bounds so that a maximized window restores to its previous size
+			const bounds = browserWindow.getNormalBounds();
+			const states = { ...(this.settings.get(WINDOWS_STATE_KEY) || {}) };
+			states[ ctx_window.name ] = {
+				...bounds,
+				isMaximized: browserWindow.isMaximized(),
+				isFullScreen: browserWindow.isFullScreen(),
+				screen: this.#getScreenOfBounds(bounds),
+			};
+			this.settings.set(WINDOWS_STATE_KEY, states);
+		};
+		const debouncedSave = () => { clearTimeout(timer); timer = setTimeout(save, 500); };
+
+		[ "move", "resize", "maximize", "unmaximize", "enter-full-screen", "leave-full-screen" ].forEach((event) => {
+			browserWindow.on(event, debouncedSave);
+		});
+		browserWindow.on("close", save);
+	}
 
-		// Limit size by padding
-		if (specs.width  > (screen.width -  (padding*2))) { specs.width  = screen.width  - (padding*2); specs.x = padding; }
-		if (specs.height > (screen.height - (padding*2))) { specs.height = screen.height - (padding*2); specs.y = padding; }
 
-		return specs;
+	// Screen holding the center of bounds, primary if outside of all screens
+	#getScreenOfBounds(bounds, screens = this.screens) {
+		const centerX = bounds.x + bounds.width  / 2;
+		const centerY = bounds.y + bounds.height / 2;
+		const found   = Object.values(screens).filter((screenElement) => (
+			centerX >= screenElement.x && centerX < screenElement.x + screenElement.width &&
+			centerY >= screenElement.y && centerY < screenElement.y + screenElement.height
+		))[0];
+		return found ? found.id : this.primary;
 	}
 
 
@@ -374,6 +1069,7 @@ class DesktopClass {
 				specsInfo.height   = specsInfo.height || "full";
 				specsInfo.x        = specsInfo.x || "min";
 				specsInfo.y        = specsInfo.y || "min";
+				specsInfo.padding  = typeof specsInfo.padding !== "undefined" ? specsInfo.padding : 0;
 				specsInfo.raw.type = "splash";
 				specsInfo.raw.titleBarStyle = "hidden";
 				specsInfo.raw = { ...specsInfo.raw, ...commonSpecs };
@@ -444,5 +1140,10 @@ class DesktopClass {
 
 const desktop = new DesktopClass();
 const exportProps = {};
-desktop.exportProps.forEach((method) => exportProps[ method ] = desktop[ method ]);
+// Accessors: electrolite.mode = "keepAlive" has to reach the instance
+desktop.exportProps.forEach((method) => Object.defineProperty(exportProps, method, {
+	enumerable: true,
+	get: () => desktop[ method ],
+	set: (value) => { desktop[ method ] = value; },
+}));
 module.exports = exportProps;
\ No newline at end of file
@@ -0,0 +1,102 @@
+/*//
+
+	Lifecycle: app events and graceful shutdown
+
+	- lifecycle.on(event, callback), returns a function to remove the listener
+		"ready"              electrolite.init done (screens detected, IPC ready)
+		"activate"           dock icon clicked (macOS), ({ hasVisibleWindows })
+		"all-windows-closed" last window closed, before electrolite quits (mode)
+		"before-quit"        quit requested, (event) event.preventDefault() cancels it
+		"will-quit"          windows closed, shutdown handlers done
+
+	- lifecycle.onShutdown(async () => {}, { timeout: 5000 }) delays quitting until
+	  every handler resolved, rejected (logged) or timed out, returns a function to
+	  unregister it. Handlers run in parallel, once
+//*/
+
+
+const EVENTS = [ "ready", "activate", "all-windows-closed", "before-quit", "will-quit" ];
+const DEFAULT_SHUTDOWN_TIMEOUT = 5000;
+
+
+class LifecycleClass {
+	#hooks    = {};
+	#handlers = [];
+	// idle --> running --> done
+	#shutdown = "idle";
+
+	constructor(app) {
+		this.app = app;
+
+		this.on = this.on.bind(this);
+		this.emit = this.emit.bind(this);
+		this.onShutdown = this.onShutdown.bind(this);
+
+		app.on("activate", (event, hasVisibleWindows) => this.emit("activate", { hasVisibleWindows }));
+		app.on("window-all-closed", () => this.emit("all-windows-closed"));
+		app.on("before-quit", (event) => this.#onBeforeQuit(event));
+		app.on("will-quit", () => this.emit("will-quit"));
+	}
+
+	on(eventName, callback) {
+		if (EVENTS.indexOf(eventName) < 0) throw new Error(`Unknown lifecycle event "${ eventName }", options are: ${ EVENTS.join(", ") }`);
+		if (typeof callback !== "function") throw new Error(`lifecycle.on expects a callback`);
+		if (!this.#hooks[ eventName ]) { this.#hooks[ eventName ] = []; }
+		this.#hooks[ eventName ].push(callback);
+		return () => { this.#hooks[ eventName ] = this.#hooks[ eventName ].filter((e) => e !== callback); };
+	}
+
+	// Sync on purpose: before-quit listeners must be able to prevent it
+	emit(eventName, ...args) {
+		(this.#hooks[ eventName ] || []).slice().forEach((callback) => {
+			try {
+				callback(...args);
+			} catch(error) {
+				console.log(error);
+			}
+		});
+	}
+
+	onShutdown(callback, options = {}) {
+		if (typeof callback !== "function") throw new Error(`onShutdown expects a function`);
+		const handler = { callback, timeout: Number.isInteger(options.timeout) ? options.timeout : DEFAULT_SHUTDOWN_TIMEOUT };
+		this.#handlers.push(handler);
+		return () => { this.#handlers = this.#handlers.filter((e) => e !== handler); };
+	}
+
+	#onBeforeQuit(event) {
+		// Quit called again once handlers are done
+		if (this.#shutdown === "done") return;
+		if (this.#shutdown === "running") { event.preventDefault(); return; }
+
+		this.emit("before-quit", event);
+		if (event.defaultPrevented) return;
+
+		event.preventDefault();
+		this.#shutdown = "running";
+		this.#runHandlers().then(() => {
+			this.#shutdown = "done";
+			this.app.quit();
+		});
+	}
+
+	// Never rejects: a failing handler can't block quitting
+	#runHandlers() {
+		return Promise.all(this.#handlers.map(({ callback, timeout }) => {
+			let timer = undefined;
+			const timedOut = new Promise((resolve) => {
+				timer = setTimeout(() => {
+					console.log(`Shutdown handler timed out after ${ timeout }ms`);
+					resolve();
+				}, timeout);
+			});
+			const run = Promise.resolve()
+				.then(() => callback())
+				.catch((error) => console.log("Shutdown handler failed", error));
+			return Promise.race([ run, timedOut ]).finally(() => clearTimeout(timer));
+		}));
+	}
+}
+
+
+module.exports = LifecycleClass;
@@ -1,61 +1,441 @@
-const fs = require("fs");
-const path = require("path");
 const { app } = require("electron");
+const validator = require("./lib/validator.js");
+const { fileAdapter, memoryAdapter, isAdapter } = require("./lib/storage.js");
+const { createEncryption, isEncrypted } = require("./lib/encryption.js");
 const SETTINGS_FILE_NAME = "saved-settings.json";
+// Stored next to the settings, never returned by get()
+const VERSION_KEY = "__electrolite_version__";
+// Writes are grouped: a burst of set() ends up in a single write
+const SAVE_DELAY = 100;
+// Path segments reaching prototypes, refused in keys
+const FORBIDDEN_KEYS = [ "__proto__", "constructor", "prototype" ];
+
+/*//
+
+	Settings: JSON store saved in app.getPath('userData'), loaded on first use
+
+	- Keys accept dot paths: settings.set("editor.font.size", 14), settings.get("editor.font")
+	  or arrays for keys holding dots: settings.get([ "recent.files", "0" ])
+	  "__proto__", "constructor" and "prototype" segments throw, inherited members are never read
+	- settings.store("recent") is a separate store saved as saved-settings.recent.json
+	- Writes are debounced and atomic (temp file + rename), the previous file is kept
+	  as .bak and used when the store is corrupted. flush() writes pending changes now,
+	  pending changes are flushed on quit
+	- settings.watch("editor.font", (value, previous, key) => {}) is called when the key,
+	  one of its parents or children changes, returns a function to stop watching
+	- settings.configure({ schema, defaults, version, migrations }) per store:
+		schema:     JSON-Schema subset (lib/validator.js), set/update throw on invalid values
+		defaults:   merged on read, never saved
+		version:    Int, current shape of the store
+		migrations: { 2: (settings) => settings, 3: ... } run in order, once, for versions
+		            above the stored one (0 for files saved without version), the file is
+		            backed up as .v<stored version>.bak before migrating
+	- settings.setup({ adapter, directory, fileName, encryption }) before first use:
+		adapter:    "file" (default), "memory" or a custom adapter, see lib/storage.js
+		directory:  String | Function, folder of the files, app.getPath('userData') by default
+		fileName:   String, "saved-settings.json" by default, named stores add their name to it
+		encryption: { key } AES-256-GCM at rest, see lib/encryption.js
+	  Named stores created afterwards inherit the storage of the main one
+//*/
+
+const stores = {};
+
+const toPath = (key) => {
+	const keys = Array.isArray(key) ? key.map(String) : String(key).split(".").filter((e) => e.length > 0);
+	const forbidden = keys.find((e) => FORBIDDEN_KEYS.indexOf(e) > -1);
+	if (forbidden) throw new Error(`Settings keys can't contain "${ forbidden }"`);
+	return keys;
+};
+
+const clone = (value) => (value === null || typeof value !== "object") ? value : structuredClone(value);
+
+const isSame = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b);
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+// Own properties only: inherited members are never read as settings
+const readPath = (source, keys) => keys.reduce((cursor, key) => (cursor !== null && typeof cursor === "object" && Object.hasOwn(cursor, key)) ? cursor[ key ] : undefined, source);
+
+// Stored values win over defaults, objects are merged
+const merge = (defaults, value) => {
+	if (typeof value === "undefined") return clone(defaults);
+	if (!isObject(defaults) || !isObject(value)) return value;
+	const result = { ...clone(defaults) };
+	Object.keys(value).forEach((key) => {
+		if (FORBIDDEN_KEYS.indexOf(key) > -1) return;
+		result[ key ] = merge(Object.hasOwn(defaults, key) ? defaults[ key ] : undefined, value[ key ]);
+	});
+	return result;
+};
+
+// Schema of a nested key, false when the key isn't allowed
+const schemaAt = (schema, keys) => keys.reduce((current, key) => {
+	if (!current || typeof current !== "object") return current;
+	if (current.items && /^\d+$/.test(key)) return current.items;
+	if (current.properties && Object.hasOwn(current.properties, key)) return current.properties[ key ];
+	if (current.additionalProperties === false) return false;
+	return typeof current.additionalProperties === "object" ? current.additionalProperties : undefined;
+}, schema);
+
+
+// "saved-settings.json" --> "saved-settings.recent.json"
+const storeFileName = (fileName, name) => /\.json$/.test(fileName) ? fileName.replace(/\.json$/, `.${ name }.json`) : `${ fileName }.${ name }`;
+
 
 class SettingsClass {
 	#settings = {};
-	#path = path.join(app.getPath('userData'), SETTINGS_FILE_NAME);
+	#options  = {};
+	#adapter  = undefined;
+	#cipher   = undefined;
+	#loaded   = false;
+	// Last payload read or written, saved as backup before the next write
+	#raw      = undefined;
+	#timer    = undefined;
+	#writing  = Promise.resolve();
+	#dirty    = false;
+	#watchers = [];
+	#schema   = undefined;
+	#defaults = undefined;
+	#version  = undefined;
 
-	constructor() {
+	constructor(options = {}) {
+		this.#options = { fileName: SETTINGS_FILE_NAME, ...options };
 
 		this.set = this.set.bind(this);
 		this.get = this.get.bind(this);
+		this.has = this.has.bind(this);
 		this.update = this.update.bind(this);
 		this.delete = this.delete.bind(this);
+		this.store = this.store.bind(this);
+		this.setup = this.setup.bind(this);
+		this.configure = this.configure.bind(this);
+		this.watch = this.watch.bind(this);
+		this.flush = this.flush.bind(this);
+		this.flushSync = this.flushSync.bind(this);
+		this.flushAll = this.flushAll.bind(this);
+		this.flushAllSync = this.flushAllSync.bind(this);
 		this.getFilePath = this.getFilePath.bind(this);
-
-		this.#init();
 	}
 
 	set(prop, value, returnNewSettings) {
-		if (this.#settings[ prop ] && this.#settings[ prop ] === value) return;
-		this.#settings[ prop ] = value;
-		this.#saveFile();
+		const keys = toPath(prop);
+		if (keys.length === 0) throw new Error(`Settings keys can't be empty`);
+		this.#check(keys, value);
+		this.#load();
+		// Falsy values are values too, only skip identical primitives
+		const current = this.#read(keys);
+		if (typeof current !== "undefined" && current === value && (value === null || typeof value !== "object")) {
+			if (returnNewSettings) { return this.#settings; }
+			return;
+		}
+
+		this.#change(() => {
+			let cursor = this.#settings;
+			keys.slice(0, -1).forEach((key) => {
+				if (!Object.hasOwn(cursor, key) || cursor[ key ] === null || typeof cursor[ key ] !== "object") { cursor[ key ] = {}; }
+				cursor = cursor[ key ];
+			});
+			cursor[ keys[ keys.length - 1 ] ] = value;
+		});
 		if (returnNewSettings) { return this.#settings; }
 	}
 
 	update(prop, value, returnNewSettings) {
-		if (typeof this.#settings[ prop ] !== "undefined") {
+		if (this.has(prop)) {
 			return this.set(prop, value, returnNewSettings);
 		}
-		return new Error(`Can't update non-existing key "${ prop }"`);
+		return new Error(`Can't update non-existing key "${ toPath(prop).join(".") }"`);
 	}
 
-	get(prop) { return this.#settings[ prop ]; }
+	// No key returns all settings, defaults included
+	get(prop) {
+		this.#load();
+		if (typeof prop === "undefined") return this.#value([]);
+		return this.#value(toPath(prop));
+	}
+
+	has(prop) {
+		this.#load();
+		return typeof this.#value(toPath(prop)) !== "undefined";
+	}
 
+	// Removes the stored value, get() then returns the default if any
 	delete(prop) {
-		if (typeof this.#settings[ prop ] === "undefined") return;
-		delete this.#settings[ prop ];
-		this.#saveFile();
+		const keys = toPath(prop);
+		this.#load();
+		if (typeof this.#read(keys) === "undefined") return;
+		this.#change(() => {
+			const parent = keys.length > 1 ? this.#read(keys.slice(0, -1)) : this.#settings;
+			delete parent[ keys[ keys.length - 1 ] ];
+		});
+	}
+
+	// Separate store, saved in its own file
+	store(name) {
+		if (typeof name !== "string" || !/^[a-z0-9_-]+$/i.test(name)) throw new Error(`Store names only accept letters, digits, "-" and "_"`);
+		// Own entries only: "constructor", "toString"... are valid names, not stores
+		if (!Object.hasOwn(stores, name)) {
+			const options = stores.default.#options;
+			stores[ name ] = new SettingsClass({ ...options, fileName: storeFileName(options.fileName, name) });
+		}
+		return stores[ name ];
+	}
+
+	// Storage of this store, only before first use
+	setup({ adapter, directory, fileName, encryption } = {}) {
+		if (this.#loaded) throw new Error(`Settings "${ this.#options.fileName }" are already loaded, setup must run before first use`);
+		if (adapter && adapter !== "file" && adapter !== "memory" && !isAdapter(adapter)) throw new Error(`Settings adapters are "file", "memory" or an object with read and write methods`);
+		if (fileName !== undefined && (typeof fileName !== "string" || fileName.trim().length === 0)) throw new Error(`Settings fileName must be a non-empty string`);
+
+		const options = { adapter, directory, fileName, encryption };
+		Object.keys(options).forEach((key) => { if (typeof options[ key ] !== "undefined") { this.#options[ key ] = options[ key ]; } });
+		this.#adapter = undefined;
+		this.#cipher  = undefined;
+		return this;
+	}
+
+	configure({ schema, defaults, version, migrations = {} } = {}) {
+		this.#schema   = schema;
+		this.#defaults = defaults;
+		if (!Number.isInteger(version)) return this;
+		this.#load();
+
+		// New stores start at the current version
+		const isNew   = typeof this.#raw === "undefined" && Object.keys(this.#settings).length === 0;
+		const stored  = isNew ? version : (this.#version || 0);
+		const pending = Object.keys(migrations).map(Number).filter((v) => v > stored && v <= version).sort((a, b) => a - b);
+
+		if (pending.length > 0 && typeof this.#raw !== "undefined") {
+			this.#writeSync(`${ this.#options.fileName }.v${ stored }.bak`, this.#raw);
+		}
+
+		let settings = this.#settings;
+		let reached  = Math.max(stored, version);
+		for (const target of pending) {
+			try {
+				const result = migrations[ target ](clone(settings));
+				settings = typeof result === "undefined" ? settings : result;
+			} catch(error) {
+				// Stays on the last version that migrated fine
+				console.log(`Error while migrating "${ this.#label() }" to version ${ target }`, error);
+				reached = pending[ pending.indexOf(target) - 1 ] || stored;
+				break;
+			}
+		}
+
+		this.#settings = isObject(settings) ? settings : {};
+		if (reached !== this.#version) {
+			this.#version = reached;
+			this.#scheduleSave();
+		}
+		return this;
+	}
+
+	watch(prop, callback) {
+		const watcher = { keys: toPath(prop), callback };
+		this.#watchers.push(watcher);
+		return () => { this.#watchers = this.#watchers.filter((e) => e !== watcher); };
+	}
+
+	// Writes pending changes now
+	flush() {
+		clearTimeout(this.#timer);
+		if (this.#dirty) {
+			this.#dirty   = false;
+			this.#writing = this.#writing.then(() => this.#save()).catch((error) => {
+				console.log(`Error while saving "${ this.#label() }"`, error);
+			});
+		}
+		return this.#writing;
+	}
+
+	// Flushes every store, see Lifecycle onShutdown
+	flushAll() {
+		return Promise.all(Object.values(stores).map((store) => store.flush()));
+	}
+
+	// Same as flushAll, blocking: run once will-quit listeners are done, see Desktop
+	flushAllSync() {
+		Object.values(stores).forEach((store) => {
+			try {
+				store.flushSync();
+			} catch(error) {
+				console.log(error);
+			}
+		});
+	}
+
+	// Same as flush, blocking: used when the app quits
+	flushSync() {
+		clearTimeout(this.#timer);
+		if (!this.#dirty) return;
+		this.#dirty = false;
+		const payload = this.#serialize();
+		if (typeof this.#raw !== "undefined") { this.#writeSync(`${ this.#options.fileName }.bak`, this.#raw); }
+		this.#writeSync(this.#options.fileName, payload);
+		this.#raw = payload;
+	}
+
+	// undefined for adapters without files
+	getFilePath() {
+		const adapter = this.#getAdapter();
+		return typeof adapter.path === "function" ? adapter.path(this.#options.fileName) : undefined;
+	}
+
+	// Stored value only
+	#read(keys) { return readPath(this.#settings, keys); }
+
+	// Stored value merged with defaults
+	#value(keys) {
+		if (!this.#defaults) return this.#read(keys);
+		return merge(readPath(this.#defaults, keys), this.#read(keys));
+	}
+
+	#check(keys, value) {
+		if (!this.#schema) return;
+		const schema = schemaAt(this.#schema, keys);
+		const errors = schema === false
+			? [{ path: `/${ keys.join("/") }`, message: "is not allowed" }]
+			: validator.validate(schema, value, `/${ keys.join("/") }`);
+		if (errors.length === 0) return;
+
+		const error = new Error(`Invalid setting "${ keys.join(".") }": ${ errors.map((e) => `${ e.path } ${ e.message }`).join(", ") }`);
+		error.code    = "INVALID_SETTING";
+		error.details = errors;
+		throw error;
+	}
+
+	#serialize() {
+		const data = typeof this.#version === "undefined" ? this.#settings : { ...this.#settings, [ VERSION_KEY ]: this.#version };
+		const text = JSON.stringify(data, null, 4);
+		return this.#getCipher() ? this.#getCipher().encrypt(text) : text;
+	}
+
+	#label() { return this.getFilePath() || this.#options.fileName; }
+
+	#getAdapter() {
+		if (this.#adapter) return this.#adapter;
+		const { adapter, directory } = this.#options;
+		if (isAdapter(adapter)) {
+			this.#adapter = adapter;
+		} else if (adapter === "memory") {
+			this.#adapter = memoryAdapter();
+		} else {
+			this.#adapter = fileAdapter({ directory: directory || (() => app.getPath('userData')) });
+		}
+		return this.#adapter;
 	}
 
-	getFilePath() { return this.#path; }
+	#getCipher() {
+		if (!this.#cipher && this.#options.encryption) { this.#cipher = createEncryption(this.#options.encryption); }
+		return this.#cipher;
+	}
 
-	#saveFile() {
-		fs.writeFileSync(this.#path, JSON.stringify(this.#settings, null, 4));
+	// Blocking write, adapters without writeSync are written in the background
+	#writeSync(name, data) {
+		const adapter = this.#getAdapter();
+		if (typeof adapter.writeSync === "function") {
+			adapter.writeSync(name, data);
+		} else {
+			Promise.resolve(adapter.write(name, data)).catch((error) => console.log(`Error while saving "${ name }"`, error));
+		}
 	}
 
-	#init() {
-		if (fs.existsSync(this.#path)) {
+	// Applies mutate, saves and notifies watchers of changed keys
+	#change(mutate) {
+		const snapshots = this.#watchers.map((watcher) => clone(this.#value(watcher.keys)));
+		mutate();
+		this.#scheduleSave();
+
+		this.#watchers.forEach((watcher, i) => {
+			const value = this.#value(watcher.keys);
+			if (isSame(value, snapshots[ i ])) return;
 			try {
-				this.#settings = JSON.parse(fs.readFileSync(this.#path).toString());
+				watcher.callback(value, snapshots[ i ], watcher.keys.join("."));
 			} catch(error) {
-				throw new Error(`Error while parsing "${ this.#path }" save file, it looks like the file doesn't respect JSON format.`, error);
+				console.log(error);
+			}
+		});
+	}
+
+	#scheduleSave() {
+		this.#dirty = true;
+		clearTimeout(this.#timer);
+		this.#timer = setTimeout(this.flush, SAVE_DELAY);
+	}
+
+	// Adapters write atomically, the previous payload is kept as .bak
+	async #save() {
+		const adapter = this.#getAdapter();
+		const payload = this.#serialize();
+		if (typeof this.#raw !== "undefined") { await adapter.write(`${ this.#options.fileName }.bak`, this.#raw); }
+		await adapter.write(this.#options.fileName, payload);
+		this.#raw = payload;
+	}
+
+	// { data } or { error } of a stored payload, data undefined when nothing was saved
+	#parse(payload) {
+		if (typeof payload === "undefined") return { data: undefined };
+		try {
+			const cipher = this.#getCipher();
+			if (!cipher && isEncrypted(payload)) throw new Error("Payload is encrypted, setup({ encryption }) expects its key");
+			// Plain payloads are accepted when encryption is set: encrypted on next write
+			const encrypted = Boolean(cipher) && isEncrypted(payload);
+			return { data: JSON.parse(encrypted ? cipher.decrypt(payload) : payload), encrypted };
+		} catch(error) {
+			return { error };
+		}
+	}
+
+	// First use: reads the store, never throws
+	#load() {
+		if (this.#loaded) return;
+		this.#loaded = true;
+
+		let payload = undefined;
+		let result  = undefined;
+		try {
+			payload = this.#getAdapter().read(this.#options.fileName);
+			result  = this.#parse(payload);
+		} catch(error) {
+			result = { error };
+		}
+
+		if (!result.error) {
+			this.#raw = payload;
+			this.#restore(result.data);
+			if (this.#getCipher() && typeof payload !== "undefined" && !result.encrypted) {
+				// Plain payload saved before encryption was set: its backup is encrypted too
+				this.#raw = this.#getCipher().encrypt(payload);
+				this.#scheduleSave();
 			}
+			return;
 		}
+
+		// Corrupted payload: kept aside, settings restored from the last backup
+		let backupPayload = undefined;
+		try { backupPayload = this.#getAdapter().read(`${ this.#options.fileName }.bak`); } catch(error) { /* no backup */ }
+		const backup = this.#parse(backupPayload);
+		console.log(`Error while parsing "${ this.#label() }" save file, it looks like the file doesn't respect JSON format or can't be decrypted.${ backup.data ? " Restored from backup." : "" }`, result.error);
+		if (typeof payload !== "undefined") {
+			try { this.#writeSync(`${ this.#options.fileName }.corrupted`, payload); } catch(error) { /* best effort */ }
+		}
+
+		// The backup stays the backup until a valid payload replaces it,
+		// without backup the payload is left as is until the next change
+		this.#raw = backup.data ? backupPayload : undefined;
+		this.#restore(backup.data);
+		if (backup.data) { this.#scheduleSave(); }
+	}
+
+	#restore(data) {
+		this.#settings = isObject(data) ? data : {};
+		if (Number.isInteger(this.#settings[ VERSION_KEY ])) { this.#version = this.#settings[ VERSION_KEY ]; }
+		delete this.#settings[ VERSION_KEY ];
 	}
 }
 
 const Settings = new SettingsClass();
-module.exports = Settings;
\ No newline at end of file
+stores.default = Settings;
+
+module.exports = Settings;
@@ -1,13 +1,22 @@
-const { BrowserWindow } = require('electron/main');
+const { BrowserWindow, app } = require('electron/main');
 const fs                = require("fs");
 const path              = require("path");
 const API               = require('./API.js');
+const HttpError         = require('./lib/HttpError.js');
 const idGenerator       = require('./lib/idGenerator.js');
+const { Permissions }   = require('./lib/permissions.js');
+
+// Ids of Window.request, unique across windows
+let requestCounter = 0;
+
+// "app://bundle/index.html", "https://..." but not "C:\\app\\index.html"
+const isURL = (src) => /^[a-z][a-z0-9+.-]+:/i.test(src);
 
 class Window {
 	#properties           = [];
 	#methods              = [];
 	#methodsAndProperties = [];
+	#pendingRequests      = {};
 
 	constructor(specsInfo = {}, parent) {
 		// Public window to access at any point
@@ -17,16 +26,28 @@ class Window {
 		// to set and manage. getWindow() is only for code aesthetics
 
 		this.id = undefined;
+		// Target of _API_.emitTo, defaults to id
+		this.name = specsInfo && specsInfo.name ? specsInfo.name : undefined;
 
 		this.API    = new API();
 		this.parent = parent;
 		this.specs  = specsInfo;
 		this.src    = specsInfo ? specsInfo.src : undefined;
 		this.hooks  = {};
+		// User preload scripts, required after the bridge (see lib/preloadTemplate.js)
+		this.preloads = this.#getPreloads();
+		// see lib/permissions.js, settings: { store, read, write } keys of _API_.settings
+		this.permissions = new Permissions({ ...(specsInfo && specsInfo.permissions), settings: specsInfo && specsInfo.settings }, this.src);
 
 		this.on        = this.on.bind(this);
+		this.request   = this.request.bind(this);
 		this.get       = this.get.bind(this);
+		this.use       = this.use.bind(this);
 		this.post      = this.post.bind(this);
+		this.put       = this.put.bind(this);
+		this.patch     = this.patch.bind(this);
+		this.delete    = this.delete.bind(this);
+		this.all       = this.all.bind(this);
 		this.init      = this.init.bind(this);
 		this.getWindow = this.getWindow.bind(this);
 
@@ -37,16 +58,36 @@ class Window {
 	getWindow() { return this.window; }
 
 
+	// Brings the window to front, restored if minimized
+	focus() {
+		if (this.window.isMinimized()) { this.window.restore(); }
+		this.window.show();
+		this.window.focus();
+		return this;
+	}
+
+
 	getMethods() { return this.#methods; }
 	getProperties() { return this.#properties; }
 	getMethodsAndProperties() { return this.#methodsAndProperties; }
 	has(methodOrProp) { return this.#methodsAndProperties.indexOf(methodOrProp) > -1; }
 
 
-	// Internal APi Get/Post route - exclusive to this window, use Electrolite.get for global routes
-	use(middleware)       { this.API.middleware(middleware); return this; } // chain events
-	get(route, callback)  { this.API.get(route,  callback); return this;  } // chain events
-	post(route, callback) { this.API.post(route, callback); return this;  } // chain events
+	// Internal APi routes - exclusive to this window, use Electrolite.get for global routes
+	use(...handlers)            { this.API.use(...handlers); return this; } // chain events
+	get(route, ...callbacks)    { this.API.get(route,    ...callbacks); return this; } // chain events
+	post(route, ...callbacks)   { this.API.post(route,   ...callbacks); return this; } // chain events
+	put(route, ...callbacks)    { this.API.put(route,    ...callbacks); return this; } // chain events
+	patch(route, ...callbacks)  { this.API.patch(route,  ...callbacks); return this; } // chain events
+	delete(route, ...callbacks) { this.API.delete(route, ...callbacks); return this; } // chain events
+	all(route, ...callbacks)    { this.API.all(route,    ...callbacks); return this; } // chain events, any verb
+
+	// Named routes of this window first, global ones as fallback
+	// Param errors of a window route are thrown as-is
+	url(name, params, query) {
+		if (this.API.hasName(name)) return this.API.url(name, params, query);
+		return this.parent.API.url(name, params, query);
+	}
 
 
 	async execute(commandString) {
@@ -54,16 +95,36 @@ class Window {
 	}
 
 
-	async apply(route, method, values) {
+	async apply(route, method, values, options = {}) {
 		// IPC handled by parent sinoce it should be handled once
-		let routeElement = this.API.getRoute(route, method, this.window);
-		if (!routeElement) {
-			routeElement = this.parent.API.getRoute(route, method, this.window);
-		}
+		// Window middleware and routes run first, the global router
+		// picks up whatever this window didn't answer
+		// Resolves with an envelope { status, body | error, headers }, see API.dispatch
+		// Global routes go through this window permissions
+		const guard = {
+			handle: (req, res, next, error) => {
+				if (!this.permissions.canCall(req.method, req.originalUrl)) {
+					this.logDenied(`[${ req.method }] ${ req.originalUrl }`);
+					throw new HttpError(403, `Route [${ req.method }] ${ req.originalUrl } is not allowed for this window`);
+				}
+				return next(error);
+			}
+		};
+		return API.dispatch([ this.API, guard, this.parent.API ], { ...options, url: route, method, body: values, window: this.window, windowName: this.name });
+	}
 
-		if (!routeElement) return undefined;
-		const res = await routeElement(values);
-		return res;
+
+	// Origin check of the frame behind an IPC event, see lib/permissions.js
+	isAllowedSender(event) {
+		const frame   = event.senderFrame;
+		const allowed = Boolean(frame) && this.permissions.checkOrigin(frame.url);
+		if (!allowed) { this.logDenied(`sender frame ${ frame ? frame.url : "(destroyed)" }`); }
+		return allowed;
+	}
+
+
+	logDenied(what) {
+		console.warn(`[electrolite] ${ this.id } (${ this.src }) denied: ${ what }`);
 	}
 
 
@@ -74,9 +135,55 @@ class Window {
 	}
 
 	// Sends ...data? from main to current window.on(eventName) 
+	// returns false if the window isn't allowed to receive eventName
 	emit() {
 		if (typeof arguments[0] !== "string" || arguments[0].trim().length === 0) throw new Error("emit expects a signal name");
+		if (!this.permissions.canReceive(arguments[0])) {
+			this.logDenied(`receive "${ arguments[0] }"`);
+			return false;
+		}
 		this.window.webContents.send(...arguments);
+		return true;
+	}
+
+	// Calls the renderer handler registered with window._API_.handle(name, fn)
+	// and resolves with its return value, rejects on error, missing handler (404)
+	// or timeout (504). options: { timeout: Int ms, default 5000 }
+	request(name, args, options = {}) {
+		const timeout = Number.isInteger(options.timeout) ? options.timeout : 5000;
+		const id      = ++requestCounter;
+
+		return new Promise((resolve, reject) => {
+			const timer = setTimeout(() => {
+				delete this.#pendingRequests[ id ];
+				reject(new HttpError(504, `${ this.id } didn't answer "${ name }" within ${ timeout }ms`));
+			}, timeout);
+
+			this.#pendingRequests[ id ] = { resolve, reject, timer };
+			this.window.webContents.send("electrolite:request", { id, name, args });
+		});
+	}
+
+	onReply({ id, value, error }) {
+		const pending = this.#pendingRequests[ id ];
+		if (!pending) return;
+
+		clearTimeout(pending.timer);
+		delete this.#pendingRequests[ id ];
+		if (!error) return pending.resolve(value);
+
+		pending.reject(error.status
+			? new HttpError(error.status, error.message, { code: error.code })
+			: Object.assign(new Error(error.message), { name: error.name || "Error" }));
+	}
+
+	#rejectPendingRequests(reason) {
+		Object.keys(this.#pendingRequests).forEach((id) => {
+			const pending = this.#pendingRequests[ id ];
+			clearTimeout(pending.timer);
+			pending.reject(new HttpError(503, reason));
+		});
+		this.#pendingRequests = {};
 	}
 
 	// Listens to eventName from window._API_.emit(eventName, ...data?)
@@ -126,29 +233,49 @@ class Window {
 	}
 
 
+	// Absolute paths of createWindow({ preload }), relative ones from the app path
+	// raw.webPreferences.preload is kept as the first one
+	#getPreloads() {
+		const raw      = (this.specs.raw && this.specs.raw.webPreferences) || {};
+		const preloads = [ raw.preload, ...[].concat(this.specs.preload || []) ].filter(Boolean);
+		return preloads.map((file) => {
+			if (typeof file !== "string") throw new Error(`Window preload expects file paths`);
+			const filePath = path.resolve(app.getAppPath(), file);
+			if (!fs.existsSync(filePath)) throw new Error(`Window preload "${ filePath }" doesn't exist`);
+			return filePath;
+		});
+	}
+
+
 	init() {
 		if (!this.src) {
 			throw new Error(`Window should have a "src" property pointing to an url or file`);
 		}
 
+		const raw = this.specs.raw || { };
 		this.window = new BrowserWindow({
 			width: this.specs.width,
 			height: this.specs.height,
 			x: this.specs.x,
 			y: this.specs.y,
-			...(this.specs.raw || { }),
+			...raw,
 			webPreferences: {
+				...(raw.webPreferences || {}),
 				// Keep this after raw to overwrite on security issues
 				nodeIntegration: false,
 				contextIsolation: true,
-				preload: path.join(__dirname, 'lib/preloadTemplate.js')
+				preload: path.join(__dirname, 'lib/preloadTemplate.js'),
+				// Sandboxed preloads can't require user files
+				...(this.preloads.length > 0 ? { sandbox: false } : {}),
 			},
 			icon: this.#getIcon()
 		});
 
 		this.id = idGenerator(this.window.id);
+		if (!this.name) { this.name = this.id; }
+		this.window.on("closed", () => this.#rejectPendingRequests(`${ this.id } closed before answering`));
 
-		this.window[ this.src.indexOf(":") > -1 ? "loadURL" : "loadFile" ](this.src);
+		this.window[ isURL(this.src) ? "loadURL" : "loadFile" ](this.src);
 		this.#injectWindowPropsInInstance();
 
 		if (this.specs.after) {
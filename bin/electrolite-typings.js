@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+/*//
+
+	Writes the .d.ts of window[ apiName ] (see Desktop.generateTypings)
+
+	Must run inside electron as routes are registered on the main process:
+		npx electron node_modules/electrolite/bin/electrolite-typings.js ./routes.js --out types/api.d.ts [--api-name _API_]
+
+	- ./routes.js registers routes/events on electrolite, if it exports a function
+	  it is called (and awaited) with electrolite before generating
+	- Routes of windows are only listed if ./routes.js creates them
+//*/
+
+const path = require('path');
+
+const args = process.argv.slice(process.defaultApp ? 2 : 1).filter((arg) => arg !== __filename);
+const getOption = (name) => {
+	const index = args.indexOf(name);
+	if (index < 0) return undefined;
+	const [ , value ] = args.splice(index, 2);
+	return value;
+};
+
+const out     = getOption("--out") || "electrolite-api.d.ts";
+const apiName = getOption("--api-name");
+const modules = args.filter((arg) => arg[0] !== "-");
+
+if (typeof process.versions.electron === "undefined") {
+	console.error("electrolite-typings must run through electron: npx electron electrolite-typings.js <routes.js> --out <file.d.ts>");
+	process.exit(1);
+}
+
+const { app }     = require('electron');
+const electrolite = require('../index.js');
+
+const run = async () => {
+	for (const modulePath of modules) {
+		const exported = require(path.resolve(modulePath));
+		if (typeof exported === "function") { await exported(electrolite); }
+	}
+
+	electrolite.generateTypings({ out, apiName });
+	console.log(`Typings written to ${ out }`);
+};
+
+run().then(() => app.exit(0)).catch((error) => {
+	console.error(error);
+	app.exit(1);
+});
@@ -0,0 +1,48 @@
+const { STATUS_CODES } = require('http');
+
+/*//
+
+	HttpError: error with a status code, thrown from routes
+	and sent back to the renderer as a rejected promise
+
+	- new HttpError(404)
+	- new HttpError(403, "Admins only")
+	- new HttpError(422, "Invalid project", { code: "INVALID_PROJECT", details: { name: "required" } })
+
+	- code defaults to the status text (404 --> "NOT_FOUND")
+	- details must be serializable as they cross the IPC bridge
+//*/
+
+
+class HttpError extends Error {
+	constructor(status = 500, message, options = {}) {
+		const statusText = STATUS_CODES[ status ] || "Unknown Error";
+		super(message || statusText);
+
+		this.name    = "HttpError";
+		this.status  = status;
+		this.code    = options.code || statusText.toUpperCase().replace(/[^A-Z0-9]+/g, "_");
+		this.details = options.details;
+		this.headers = options.headers || {};
+	}
+
+	// Serializable version sent over IPC
+	toJSON() {
+		return {
+			name: this.name,
+			status: this.status,
+			code: this.code,
+			message: this.message,
+			...(typeof this.details !== "undefined" ? { details: this.details } : {}),
+		};
+	}
+
+	// Any thrown value to HttpError, unknown errors are 500
+	static from(error) {
+		if (error instanceof HttpError) return error;
+		const message = error && error.message ? error.message : String(error);
+		return new HttpError(500, message);
+	}
+}
+
+module.exports = HttpError;
@@ -0,0 +1,153 @@
+/*//
+
+	Routes over a custom protocol, for code that only speaks fetch/urls
+
+	- createAPIHandler(dispatch, options) --> async (request) => Response
+		dispatch: ({ url, method, body, headers, signal }) => envelope, see APIClass.dispatch
+		options:  {
+			origins: [ "app://*", "http://localhost:*" ], // required, Origin/Referer allowed to call
+			host:    Boolean, the url host is the first segment of the route (deep links)
+		}
+
+	- "api://local/projects/42?tab=info" --> GET /projects/42, the url host is ignored
+	  with host: "myapp://open/project/42" --> GET /open/project/42
+	- urlToRoute(url, withHost) --> "/open/project/42?query"
+	- Request bodies: JSON, text, url-encoded forms as objects, anything else as Buffer
+	- Request headers are passed as req.headers, lowercase names
+	- Responses: Buffers and strings with a Content-Type are sent as-is, streams chunk
+	  by chunk (objects as NDJSON), undefined as 204, anything else as JSON
+	- Errors answer with their status and the error as JSON { name, status, code, message, details }
+
+	Requests can't be traced back to a window: window routes and permissions don't apply.
+	Only origins listed in options.origins get through: requests without Origin nor Referer
+	(no-cors, no-referrer, <img src>) and handlers without origins are refused
+//*/
+
+
+const { Readable }               = require("stream");
+const HttpError                  = require("./HttpError.js");
+const { matchPattern }           = require("./permissions.js");
+
+const CORS_METHODS = "GET, POST, PUT, PATCH, DELETE";
+
+
+// Origin header, Referer origin as fallback (same origin requests don't send Origin)
+const getOrigin = (request) => {
+	const origin = request.headers.get("origin");
+	if (origin && origin !== "null") return origin;
+	const referrer = request.headers.get("referer");
+	if (!referrer) return undefined;
+	try {
+		const parsed = new URL(referrer);
+		return parsed.origin !== "null" ? parsed.origin : `${ parsed.protocol }//${ parsed.host }`;
+	} catch(error) {
+		return undefined;
+	}
+};
+
+
+// "myapp://open/project/42?a=1" --> "/open/project/42?a=1" (withHost) or "/project/42?a=1"
+const urlToRoute = (url, withHost) => {
+	const { host, pathname, search } = new URL(url);
+	const segments = [ withHost ? host : "", pathname.replace(/^\/+/, "") ].filter(Boolean);
+	return `/${ segments.join("/") }${ search }`;
+};
+
+
+const jsonResponse = (status, value, headers = {}) => new Response(JSON.stringify(value), {
+	status,
+	headers: { "Content-Type": "application/json; charset=utf-8", ...headers },
+});
+
+
+const hasHeader = (headers, name) => Object.keys(headers).some((key) => key.toLowerCase() === name.toLowerCase());
+
+
+async function readBody(request) {
+	if (request.method === "GET" || request.method === "HEAD") return undefined;
+	const type = (request.headers.get("content-type") || "").toLowerCase();
+	const raw  = Buffer.from(await request.arrayBuffer());
+	if (raw.length === 0) return undefined;
+
+	if (type.indexOf("json") > -1) {
+		try {
+			return JSON.parse(raw.toString("utf8"));
+		} catch(error) {
+			throw new HttpError(400, "Request body isn't valid JSON");
+		}
+	}
+	if (type.indexOf("application/x-www-form-urlencoded") > -1) return Object.fromEntries(new URLSearchParams(raw.toString("utf8")));
+	if (type.indexOf("text/") === 0) return raw.toString("utf8");
+	return raw;
+}
+
+
+// Async iterable to a byte stream, objects become NDJSON lines
+const toByteStream = (iterable) => Readable.toWeb(Readable.from((async function* () {
+	for await (const chunk of iterable) {
+		if (Buffer.isBuffer(chunk) || chunk instanceof Uint8Array) { yield chunk; }
+		else if (typeof chunk === "string") { yield Buffer.from(chunk); }
+		else { yield Buffer.from(`${ JSON.stringify(chunk) }\n`); }
+	}
+})()));
+
+
+function toResponse({ status, body, headers = {} }, corsHeaders) {
+	const all = { ...headers, ...corsHeaders };
+	if (typeof body === "undefined") return new Response(null, { status: status === 200 ? 204 : status, headers: all });
+
+	if (Buffer.isBuffer(body) || body instanceof Uint8Array) {
+		return new Response(body, { status, headers: { "Content-Type": "application/octet-stream", ...all } });
+	}
+	if (typeof body === "string" && hasHeader(headers, "content-type")) {
+		return new Response(body, { status, headers: all });
+	}
+	if (body && typeof body[ Symbol.asyncIterator ] === "function") {
+		return new Response(toByteStream(body), { status, headers: { "Content-Type": "application/x-ndjson", ...all } });
+	}
+	return jsonResponse(status, body, all);
+}
+
+
+function createAPIHandler(dispatch, options = {}) {
+	// Allowlist only: an unknown origin can't be told apart from a remote page
+	const isAllowed = (origin) => Boolean(origin) && Array.isArray(options.origins) && options.origins.some((pattern) => matchPattern(pattern, origin));
+
+	return async (request) => {
+		const origin = getOrigin(request);
+		// Answered for allowed origins only, fetch then blocks the response
+		const corsHeaders = origin && isAllowed(origin) ? { "Access-Control-Allow-Origin": origin, "Vary": "Origin" } : {};
+
+		if (!isAllowed(origin)) {
+			return jsonResponse(403, new HttpError(403, `Origin "${ origin || "unknown" }" is not allowed`).toJSON());
+		}
+
+		// CORS preflight, eg: fetch with a JSON body from app://
+		if (request.method === "OPTIONS") {
+			return new Response(null, { status: 204, headers: {
+				...corsHeaders,
+				"Access-Control-Allow-Methods": CORS_METHODS,
+				"Access-Control-Allow-Headers": request.headers.get("access-control-request-headers") || "Content-Type",
+			} });
+		}
+
+		try {
+			const envelope = await dispatch({
+				url: urlToRoute(request.url, options.host),
+				method: request.method.toLowerCase(),
+				body: await readBody(request),
+				headers: Object.fromEntries(request.headers.entries()),
+				signal: request.signal,
+			});
+
+			if (envelope.error) return jsonResponse(envelope.status, envelope.error, { ...envelope.headers, ...corsHeaders });
+			return toResponse(envelope, corsHeaders);
+		} catch(error) {
+			const httpError = HttpError.from(error);
+			return jsonResponse(httpError.status, httpError.toJSON(), { ...httpError.headers, ...corsHeaders });
+		}
+	};
+}
+
+
+module.exports = { createAPIHandler, urlToRoute };
@@ -0,0 +1,83 @@
+/*//
+
+	AES-256-GCM encryption of settings payloads
+
+	- createEncryption({ key }) --> { encrypt(text), decrypt(payload), isEncrypted(payload) }
+		key: Buffer of 32 bytes used as-is, passphrase (String or Buffer) derived with scrypt,
+		     or a Function returning one of them (eg: safeStorage, OS keychain), called on first use
+	- isEncrypted(payload) --> Boolean
+	- Payloads are JSON: { algorithm, salt, iv, tag, data }, base64 values
+	- decrypt throws on a wrong key or an altered payload (GCM authentication)
+//*/
+
+
+const crypto = require("crypto");
+
+const ALGORITHM = "aes-256-gcm";
+const KEY_SIZE  = 32;
+const IV_SIZE   = 12;
+
+
+// Also used to refuse encrypted payloads when no key is set
+const isEncrypted = (payload) => {
+	try {
+		const parsed = JSON.parse(payload);
+		return Boolean(parsed) && parsed.algorithm === ALGORITHM && typeof parsed.data === "string";
+	} catch(error) {
+		return false;
+	}
+};
+
+
+function createEncryption({ key } = {}) {
+	if (typeof key === "undefined" || key === null) throw new Error("Encryption expects a key or a key provider");
+
+	let secret = undefined;
+	let salt   = undefined;
+	// Derived keys by salt, scrypt is slow on purpose
+	const derived = {};
+
+	const getSecret = () => {
+		if (typeof secret !== "undefined") return secret;
+		secret = typeof key === "function" ? key() : key;
+		if (!Buffer.isBuffer(secret) && typeof secret !== "string") throw new Error("Encryption key must be a Buffer or a String");
+		return secret;
+	};
+
+	const getKey = (saltValue) => {
+		const current = getSecret();
+		if (Buffer.isBuffer(current) && current.length === KEY_SIZE) return current;
+		if (!derived[ saltValue ]) { derived[ saltValue ] = crypto.scryptSync(current, Buffer.from(saltValue, "base64"), KEY_SIZE); }
+		return derived[ saltValue ];
+	};
+
+	const encrypt = (text) => {
+		if (!salt) { salt = crypto.randomBytes(16).toString("base64"); }
+		const iv     = crypto.randomBytes(IV_SIZE);
+		const cipher = crypto.createCipheriv(ALGORITHM, getKey(salt), iv);
+		const data   = Buffer.concat([ cipher.update(text, "utf8"), cipher.final() ]);
+
+		return JSON.stringify({
+			algorithm: ALGORITHM,
+			salt,
+			iv: iv.toString("base64"),
+			tag: cipher.getAuthTag().toString("base64"),
+			data: data.toString("base64"),
+		});
+	};
+
+	const decrypt = (payload) => {
+		const parsed   = JSON.parse(payload);
+		const decipher = crypto.createDecipheriv(ALGORITHM, getKey(parsed.salt), Buffer.from(parsed.iv, "base64"));
+		decipher.setAuthTag(Buffer.from(parsed.tag, "base64"));
+		const text = Buffer.concat([ decipher.update(Buffer.from(parsed.data, "base64")), decipher.final() ]).toString("utf8");
+		// Next writes reuse the salt: no new derivation
+		salt = parsed.salt;
+		return text;
+	};
+
+	return { encrypt, decrypt, isEncrypted };
+}
+
+
+module.exports = { createEncryption, isEncrypted };
@@ -0,0 +1,147 @@
+/*//
+
+	Window placement engine, pure functions: no Electron involved
+
+	- computeBounds(specs, screen, options) --> { x, y, width, height }
+		specs:   { x, y, width, height, right, bottom, padding, relativeTo, side, gap, align }
+		screen:  { x, y, width, height } work area of the target Screen
+		options: { padding: Int default padding, relative: { x, y, width, height } bounds of specs.relativeTo }
+
+	- grid(count, { cols, rows, gap, padding }, screen) --> [{ x, y, width, height }, ...]
+
+	Values of x, y, width, height, right, bottom:
+		Int                 pixels
+		"20%"               percent: of the screen for sizes, of the free space for x/y ("50%" centers)
+		"center|min|max"    x/y only, "full" sizes only (= 100%)
+		"50% - 40"          calc-style sums of the above: "center + 10", "100% - 20px"
+
+	- right/bottom anchor the window to the right/bottom border (x/y are ignored)
+	- relativeTo places the window next to another one:
+	  { relativeTo: "main", side: "right" | "left" | "top" | "bottom", gap: 8, align: "start" | "center" | "end" }
+	- Results stay inside the screen, padding pixels away from its borders
+//*/
+
+
+const KEYWORDS = {
+	center: (origin) => origin * 0.5,
+	min:    () => 0,
+	max:    (origin) => origin,
+	full:   (origin) => origin,
+};
+
+
+// "50% - 40" --> origin * 0.5 - 40
+function evaluate(value, origin, isSize, name = "value") {
+	if (typeof value === "number") return value;
+	if (typeof value !== "string") throw new Error(`Invalid ${ name } "${ value }"`);
+
+	const tokens = value.replace(/\s+/g, "").match(/[+-]?[^+-]+/g);
+	if (!tokens) throw new Error(`Invalid ${ name } "${ value }"`);
+
+	return tokens.reduce((total, token) => {
+		const sign = token[0] === "-" ? -1 : 1;
+		const term = token.replace(/^[+-]/, "");
+
+		if (/^[0-9]+(\.[0-9]+)?%$/.test(term)) return total + sign * origin * (parseFloat(term) / 100);
+		if (/^[0-9]+(\.[0-9]+)?(px)?$/.test(term)) return total + sign * parseFloat(term);
+		if (KEYWORDS[ term ]) {
+			if (isSize && term !== "full") throw new Error(`Values such as center or min are not accepted on width/height`);
+			if (!isSize && term === "full") throw new Error(`"full" is only accepted on width/height`);
+			return total + sign * KEYWORDS[ term ](origin);
+		}
+		throw new Error(`Invalid ${ name } "${ value }"`);
+	}, 0);
+}
+
+
+const clamp = (value, min, max) => Math.max(min, Math.min(value, max));
+
+const getPadding = (specs, options) => {
+	const padding = parseInt(specs.padding);
+	if (Number.isInteger(padding)) return padding;
+	return Number.isInteger(options.padding) ? options.padding : 0;
+};
+
+
+function computeBounds(specs = {}, screen, options = {}) {
+	if (!screen) throw new Error("computeBounds expects a screen");
+	const padding = getPadding(specs, options);
+	const maxWidth  = Math.max(0, screen.width  - padding * 2);
+	const maxHeight = Math.max(0, screen.height - padding * 2);
+
+	// Limit size by padding
+	const width  = clamp(Math.round(evaluate(specs.width  !== undefined ? specs.width  : "50%", screen.width,  true, "width")),  1, maxWidth  || 1);
+	const height = clamp(Math.round(evaluate(specs.height !== undefined ? specs.height : "50%", screen.height, true, "height")), 1, maxHeight || 1);
+
+	let x, y;
+	if (specs.relativeTo && options.relative) {
+		({ x, y } = placeRelative(specs, { width, height }, options.relative));
+		x -= screen.x;
+		y -= screen.y;
+	} else {
+		x = specs.right  !== undefined
+			? screen.width  - width  - evaluate(specs.right,  screen.width,  false, "right")
+			: evaluate(specs.x !== undefined ? specs.x : "center", screen.width  - width,  false, "x");
+		y = specs.bottom !== undefined
+			? screen.height - height - evaluate(specs.bottom, screen.height, false, "bottom")
+			: evaluate(specs.y !== undefined ? specs.y : "center", screen.height - height, false, "y");
+	}
+
+	return {
+		x: Math.round(screen.x + clamp(x, padding, screen.width  - width  - padding)),
+		y: Math.round(screen.y + clamp(y, padding, screen.height - height - padding)),
+		width,
+		height,
+	};
+}
+
+
+// Absolute position next to relative bounds
+function placeRelative(specs, size, relative) {
+	const gap   = Number.isFinite(specs.gap) ? specs.gap : 0;
+	const side  = specs.side || "right";
+	const align = specs.align || "start";
+
+	const alignOn = (start, length, ownLength) => {
+		if (align === "center") return start + (length - ownLength) / 2;
+		if (align === "end") return start + length - ownLength;
+		return start;
+	};
+
+	switch (side) {
+		case "left":   return { x: relative.x - size.width - gap, y: alignOn(relative.y, relative.height, size.height) };
+		case "top":    return { x: alignOn(relative.x, relative.width, size.width), y: relative.y - size.height - gap };
+		case "bottom": return { x: alignOn(relative.x, relative.width, size.width), y: relative.y + relative.height + gap };
+		case "right":  return { x: relative.x + relative.width + gap, y: alignOn(relative.y, relative.height, size.height) };
+		default: throw new Error(`Unknown side "${ side }", options are: left, right, top, bottom`);
+	}
+}
+
+
+// Tiles count windows on screen, row by row
+function grid(count, options = {}, screen) {
+	if (!screen) throw new Error("grid expects a screen");
+	const padding = Number.isInteger(options.padding) ? options.padding : 0;
+	const gap     = Number.isInteger(options.gap) ? options.gap : 0;
+	const cols    = options.cols || (options.rows ? Math.ceil(count / options.rows) : Math.ceil(Math.sqrt(count)));
+	const rows    = options.rows || Math.ceil(count / cols);
+
+	const cellWidth  = Math.floor((screen.width  - padding * 2 - gap * (cols - 1)) / cols);
+	const cellHeight = Math.floor((screen.height - padding * 2 - gap * (rows - 1)) / rows);
+
+	const cells = [];
+	for (let i = 0; i < Math.min(count, cols * rows); i++) {
+		const col = i % cols;
+		const row = Math.floor(i / cols);
+		cells.push({
+			x: screen.x + padding + col * (cellWidth + gap),
+			y: screen.y + padding + row * (cellHeight + gap),
+			width: cellWidth,
+			height: cellHeight,
+		});
+	}
+	return cells;
+}
+
+
+module.exports = { computeBounds, grid, evaluate };
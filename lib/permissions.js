@@ -0,0 +1,145 @@
+/*//
+
+	Per-window permissions, set through createWindow({ permissions })
+
+	permissions: {
+		default: "allow" | "deny",                  // "deny" for remote src (http/https but localhost), "allow" otherwise
+		routes:  { allow: [ "GET /public/**", "/status" ], deny: [ "* /admin/**" ] },
+		events:  {
+			emit:    { allow: [ "ready" ], deny: [] }, // window._API_.emit --> main
+			receive: { allow: [ "theme:*" ] },         // main --> window
+		},
+		origins: [ "https://trusted.example.com" ], // sender frame origins allowed to call main
+		settings: { read: [ "theme", "editor.**" ], write: [ "theme" ] }, // window._API_.settings keys
+	}
+
+	- Route patterns are "[VERBS] path", VERBS is optional ("GET,POST /x" or "* /x")
+	- "*" matches anything but "/", "**" matches anything
+	- Routes are matched decoded, without query nor trailing slash: "/keys/tok%65n/" is "/keys/token"
+	- deny always wins, then allow (exclusive when set), then the default
+	- Without origins: remote windows only accept their src origin, local windows
+	  (file, custom protocols) refuse frames navigated to http(s)
+	- Routes declared on the window itself (win.get) are not restricted
+	- Settings are opt-in whatever the default: keys use dots, "*" matches one level,
+	  "**" any depth ("editor.**" doesn't give access to "editor" itself)
+//*/
+
+
+// Dev servers (localhost) count as local
+const isRemote = (url) => /^https?:\/\//i.test(url || "") && !/^https?:\/\/(localhost|127\.0\.0\.1|\[::1\])(:\d+)?(\/|$)/i.test(url);
+
+const getOrigin = (url) => {
+	try {
+		const parsed = new URL(url);
+		// file:// and custom protocols have a "null" origin
+		return parsed.origin !== "null" ? parsed.origin : `${ parsed.protocol }//`;
+	} catch(error) {
+		return undefined;
+	}
+};
+
+
+// Glob to RegExp, "**" any characters, "*" any but "/"
+const patternToRegex = (pattern) => {
+	const source = pattern.split("**").map((part) => part
+		.split("*")
+		.map((chunk) => chunk.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+		.join("[^/]*")
+	).join(".*");
+	return new RegExp(`^${ source }$`);
+};
+
+const matchPattern = (pattern, value) => patternToRegex(pattern).test(value);
+
+
+// Setting key segments reaching prototypes, never allowed whatever the rules
+const FORBIDDEN_KEYS = [ "__proto__", "constructor", "prototype" ];
+// Empty segments too: "editor." matches "editor.*" but settings read it as "editor"
+const isForbiddenKey = (key) => String(key).split(".").some((segment) => segment.length === 0 || FORBIDDEN_KEYS.indexOf(segment) > -1);
+
+// Dot paths matched as paths: "editor.*" --> "editor/*"
+const matchKey = (pattern, key) => !isForbiddenKey(key) && matchPattern(String(pattern).split(".").join("/"), String(key).split(".").join("/"));
+
+
+// Same form as the route parser reads it: segments decoded, no trailing slash,
+// "/admin/" and "/keys/tok%65n" can't get past "/admin" and "/keys/token"
+const normalizeRoute = (route) => {
+	const segments = String(route).split("?")[0].split("/").map((segment) => {
+		try {
+			return decodeURIComponent(segment);
+		} catch(error) {
+			return segment;
+		}
+	});
+	const normalized = segments.join("/").replace(/\/+$/, "");
+	return normalized[0] === "/" ? normalized : `/${ normalized }`;
+};
+
+
+const matchRoute = (pattern, method, route) => {
+	const parts  = pattern.trim().split(/\s+/);
+	const path   = parts.length > 1 ? parts[1] : parts[0];
+	const verbs  = parts.length > 1 ? parts[0].toLowerCase().split(",") : [ "*" ];
+	const verbOk = verbs.indexOf("*") > -1 || verbs.indexOf(method.toLowerCase()) > -1;
+	return verbOk && matchPattern(path.length > 1 ? path.replace(/\/+$/, "") : path, normalizeRoute(route));
+};
+
+
+class Permissions {
+	#rules = {};
+	constructor(rules = {}, src) {
+		this.#rules   = rules || {};
+		this.src      = src;
+		this.default  = this.#rules.default || (isRemote(src) ? "deny" : "allow");
+		this.origins  = this.#rules.origins;
+
+		this.canCall    = this.canCall.bind(this);
+		this.canEmit    = this.canEmit.bind(this);
+		this.canReceive = this.canReceive.bind(this);
+		this.checkOrigin = this.checkOrigin.bind(this);
+		this.canReadSetting  = this.canReadSetting.bind(this);
+		this.canWriteSetting = this.canWriteSetting.bind(this);
+	}
+
+	canCall(method, route) {
+		return this.#decide(this.#rules.routes, (pattern) => matchRoute(pattern, method, route));
+	}
+
+	canEmit(eventName) {
+		return this.#decide((this.#rules.events || {}).emit, (pattern) => matchPattern(pattern, eventName));
+	}
+
+	canReceive(eventName) {
+		return this.#decide((this.#rules.events || {}).receive, (pattern) => matchPattern(pattern, eventName));
+	}
+
+	canReadSetting(key) {
+		return ((this.#rules.settings || {}).read || []).some((pattern) => matchKey(pattern, key));
+	}
+
+	canWriteSetting(key) {
+		return ((this.#rules.settings || {}).write || []).some((pattern) => matchKey(pattern, key));
+	}
+
+	// url: URL of the frame sending the IPC message
+	checkOrigin(url) {
+		const origin = getOrigin(url);
+		if (!origin) return false;
+
+		if (Array.isArray(this.origins)) {
+			return this.origins.some((pattern) => matchPattern(pattern, origin));
+		}
+		if (isRemote(this.src)) return origin === getOrigin(this.src);
+		return !isRemote(url);
+	}
+
+	#decide(rules = {}, matches) {
+		if ((rules.deny || []).some(matches)) return false;
+		// An allow list is exclusive, the default only applies without one
+		if (Array.isArray(rules.allow)) return rules.allow.some(matches);
+		return this.default === "allow";
+	}
+}
+
+
+module.exports = { Permissions, matchPattern, isRemote, isForbiddenKey };
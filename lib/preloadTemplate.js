@@ -1,35 +1,226 @@
 const { contextBridge, ipcRenderer } = require('electron');
 
-const errorWrapper = async (route, method, value) => {
+// Every call gets its own id so several requests can be in flight at once,
+// the main process echoes it back along the response
+let requestCounter = 0;
+
+// Resolves with the envelope { status, body, headers }, rejects with a
+// plain { name, status, code, message, details } object: custom Error
+// properties would be lost while crossing the contextBridge
+const request = async (route, method, value) => {
+	const id  = ++requestCounter;
+	const res = await ipcRenderer.invoke("callAPI", id, route, method, value);
+	if (!res || res.id !== id) {
+		throw { name: "HttpError", status: 500, code: "BAD_RESPONSE", message: `Unexpected response for request #${ id } [${ method }] ${ route }` };
+	}
+	if (res.error) throw res.error;
+	return { status: res.status, body: res.body, headers: res.headers };
+}
+
+const requestBody = async (route, method, value) => {
+	const res = await request(route, method, value);
+	return res.body;
+}
+
+
+// Streams a route answer over a dedicated MessagePort (see Desktop.onStream)
+// Returns an iterator { next, return, cancel }: Symbol.asyncIterator doesn't
+// cross the contextBridge, wrap it to use for await:
+// for await (const chunk of { [Symbol.asyncIterator]: () => _API_.stream(route) })
+const stream = (route, values, options = {}) => {
+	const method = options.method || (typeof values === "undefined" ? 'get' : 'post');
+	const { port1, port2 } = new MessageChannel();
+	const queue   = [];
+	const waiting = [];
+	let finished  = false;
+	let failure   = undefined;
+
+	const finish = () => {
+		finished = true;
+		port1.close();
+		if (failure && waiting.length) {
+			// Error consumed by the pending next() calls
+			waiting.splice(0).forEach((waiter) => waiter.reject(failure));
+			failure = undefined;
+		}
+		waiting.splice(0).forEach((waiter) => waiter.resolve({ value: undefined, done: true }));
+	};
+
+	port1.onmessage = ({ data }) => {
+		if (finished || !data) return;
+		if (data.type === "chunk") {
+			const result = { value: data.data, done: false };
+			waiting.length ? waiting.shift().resolve(result) : queue.push(result);
+		} else if (data.type === "error") {
+			failure = data.error;
+			finish();
+		} else if (data.type === "end") {
+			finish();
+		}
+	};
+	port1.start();
+
+	const cancel = async () => {
+		if (!finished) {
+			port1.postMessage({ type: "cancel" });
+			queue.length = 0;
+			finish();
+		}
+		return { value: undefined, done: true };
+	};
+
+	ipcRenderer.postMessage("electrolite:stream", { route, method, values }, [ port2 ]);
+
+	return {
+		next: async () => {
+			if (queue.length) return queue.shift();
+			if (failure) { const error = failure; failure = undefined; throw error; }
+			if (finished) return { value: undefined, done: true };
+			return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+		},
+		return: cancel,
+		cancel: cancel,
+	};
+}
+
+
+// Handlers called by the main process through win.request(name, args)
+const handlers = {};
+
+ipcRenderer.on("electrolite:request", async (event, { id, name, args }) => {
+	if (!Object.hasOwn(handlers, name) || typeof handlers[ name ] !== "function") {
+		ipcRenderer.send("electrolite:reply", { id, error: { name: "HttpError", status: 404, code: "NO_HANDLER", message: `No handler for "${ name }"` } });
+		return;
+	}
+
+	try {
+		const value = await handlers[ name ](args);
+		ipcRenderer.send("electrolite:reply", { id, value });
+	} catch(error) {
+		const message = error && error.message ? error.message : String(error);
+		ipcRenderer.send("electrolite:reply", { id, error: { name: (error && error.name) || "Error", message } });
+	}
+});
+
+
+// Settings shared with the main process, keys allowed by createWindow({ settings })
+// Rejects with the same plain error objects as routes
+const settingsCall = async (action, key, value) => {
+	const res = await ipcRenderer.invoke("electrolite:settings", action, key, value);
+	if (res && res.error) throw res.error;
+	return res ? res.value : undefined;
+}
+
+// Main watches each key once per window, callbacks are dispatched here
+const settingsWatchers = {};
+
+ipcRenderer.on("electrolite:settings-changed", (event, { key, value, previous }) => {
+	(settingsWatchers[ key ] || []).slice().forEach((callback) => {
+		try {
+			callback(value, previous, key);
+		} catch(error) {
+			console.error(error);
+		}
+	});
+});
+
+// Resolves with a function to stop watching once main accepted the key
+const watchSetting = async (key, callback) => {
+	if (typeof callback !== "function") throw new Error("watch expects a callback");
+	// Registered first so changes pushed right after main accepts aren't missed
+	settingsWatchers[ key ] = [ ...(settingsWatchers[ key ] || []), callback ];
+	const unwatch = (notifyMain = true) => {
+		if (!settingsWatchers[ key ]) return;
+		settingsWatchers[ key ] = settingsWatchers[ key ].filter((e) => e !== callback);
+		if (settingsWatchers[ key ].length === 0) {
+			delete settingsWatchers[ key ];
+			if (notifyMain) { settingsCall("unwatch", key).catch(() => {}); }
+		}
+	};
+
 	try {
-		const res = await ipcRenderer.sendSync("callAPI", route, method, value);
-		return res instanceof Error ? { UNCAUGHT_ERROR: res.message } : res;
-	} catch (error) {
-		return { UNCAUGHT_ERROR: error.message };
+		await settingsCall("watch", key);
+	} catch(error) {
+		unwatch(false);
+		throw error;
 	}
+	return () => unwatch();
 }
 
 
+// Sync on purpose: the API name must be known before exposing the bridge
 const config = ipcRenderer.sendSync("get-config");
 
 
 contextBridge.exposeInMainWorld(config.apiName, {
-	get: async (route) => {
-		const res = await errorWrapper(route, 'get', undefined);
-		return res;
-	},
-	post: async (route, values) => {
-		const res = await errorWrapper(route, 'post', values);
-		return res;
-	},
+	get: (route) => requestBody(route, 'get', undefined),
+	post: (route, values) => requestBody(route, 'post', values),
+	put: (route, values) => requestBody(route, 'put', values),
+	patch: (route, values) => requestBody(route, 'patch', values),
+	delete: (route, values) => requestBody(route, 'delete', values),
+	stream: (route, values, options) => stream(route, values, options),
+	// Full envelope, to read status and headers
+	request: (method, route, values) => request(route, method, values),
 	on: (event, callback) => {
 		return ipcRenderer.on(event, callback);
 	},
 	detach: (event, callback) => {
 		ipcRenderer.removeListener(event, callback);
 	},
+	// Answers win.request(name, args) from the main process
+	handle: (name, callback) => {
+		if (typeof name !== "string" || name.trim().length === 0) throw new Error("handle expects a request name");
+		handlers[ name ] = callback;
+	},
+	removeHandler: (name) => {
+		delete handlers[ name ];
+	},
 	emit () {
 		if (typeof arguments[0] !== "string" || arguments[0].trim().length === 0) throw new Error("emit expects a signal name");
-		ipcRenderer.sendSync("emit", ...arguments);
+		ipcRenderer.send("emit", ...arguments);
+	},
+	// Window to window, delivered by the main process (permissions apply)
+	emitTo (windowName, event, ...data) {
+		if (typeof event !== "string" || event.trim().length === 0) throw new Error("emitTo expects a signal name");
+		ipcRenderer.send("electrolite:emit-to", windowName, event, ...data);
 	},
-});
\ No newline at end of file
+	// options: { excludeSelf: Boolean, channel: String }
+	broadcast (event, data, options = {}) {
+		if (typeof event !== "string" || event.trim().length === 0) throw new Error("broadcast expects a signal name");
+		ipcRenderer.send("electrolite:broadcast", event, data, { excludeSelf: Boolean(options.excludeSelf), channel: options.channel });
+	},
+	join: (channel) => { ipcRenderer.send("electrolite:channel", "join", channel); },
+	leave: (channel) => { ipcRenderer.send("electrolite:channel", "leave", channel); },
+	settings: {
+		get: (key) => settingsCall("get", key),
+		// Resolves with the saved value
+		set: (key, value) => settingsCall("set", key, value),
+		watch: (key, callback) => watchSetting(key, callback),
+	},
+});
+
+
+// electrolite.extendBridge(name, definition): methods run in main, values are copied
+const callExtension = async (name, method, args) => {
+	const res = await ipcRenderer.invoke("electrolite:extension", name, method, args);
+	if (res && res.error) throw res.error;
+	return res ? res.value : undefined;
+}
+
+Object.keys(config.extensions || {}).forEach((name) => {
+	const { methods, values } = config.extensions[ name ];
+	const extension = { ...values };
+	methods.forEach((method) => { extension[ method ] = (...args) => callExtension(name, method, args); });
+	contextBridge.exposeInMainWorld(name, extension);
+});
+
+
+// createWindow({ preload }): run in order once the bridge is exposed, a failing
+// script is logged and doesn't stop the next ones
+(config.preload || []).forEach((file) => {
+	try {
+		require(file);
+	} catch(error) {
+		console.error(`[electrolite] preload "${ file }" failed`, error);
+	}
+});
@@ -1,17 +1,29 @@
 'use strict';
 
 // Source: https://github.com/fun-js/route-parser/blob/master/src/index.js
+// Extended with optional segments, regex constraints, decoding and reverse routing
+//
+// Segments:
+//   /users            literal
+//   /:id              named, any value but a delimiter
+//   /:id?             optional named segment
+//   /:id(\\d+)        named with a regex constraint (no delimiter inside)
+//   /:type=(a|b)      named, one of the options
+//   /*                any value, any depth when last
 
 const DEFAULT_DELIMITER = '/';
 const DEFAULT_NAMED_SEGMENT = ':';
 const ASSIGNMENT = '=';
 const OR_SIGN = '|';
 const MATCH_ANY = '*';
-const STR_REGEX_MATCH_ANY = '[a-zA-Z0-9-_/]+';
-const REGEX_SPACES_AND_TRAILING_SLASHES = /^\/|\s|\/$/g;
+const STR_REGEX_MATCH_ANY = '.*';
+const REGEX_LEADING_AND_TRAILING_SLASHES = /^\/|\/$/g;
 const VALID_SEGMENT = /^[a-z0-9_-]+$/i;
-const ANY_VALID_SEGMENT = '[a-zA-Z0-9_-]+';
+const VALID_LITERAL = /^[^:()?*]+$/;
+const ANY_VALID_SEGMENT = '[^/]+';
 const IS_BEETWEN_PARENTHESES = /^\((.*)\)$/;
+const NAMED_SEGMENT_PARTS = /^([a-z0-9_-]+)(\((.+)\))?(\?)?$/i;
+const LEGACY_OPTIONS_PARTS = /^(.+?)(\?)?$/;
 
 
 module.exports = RouteParser;
@@ -22,56 +34,87 @@ function RouteParser(route = '', options = {}) {
 
   const DELIMITER = options.delimiter || DEFAULT_DELIMITER;
   const NAMED_SEGMENT = options.namedSegment || DEFAULT_NAMED_SEGMENT;
-  const { regex, map: { namedSegments } } = compileRoute(route);
-  // const { regex, map: { segments, namedSegments } } = compileRoute(route);
+  // end: false matches the route as a prefix, used by path-scoped middleware
+  const END = options.end !== false;
+  const { regex, segments } = compileRoute(route);
 
   return Object.freeze({
 
     route,
 
     match(route = '') {
-      const regexResult = regex.exec(route);
+      const result = this.exec(route);
+      return result ? result.params : false;
+    },
+
+    // Same as match, also returns the matched part of the route
+    // (used to strip the prefix of a mounted router)
+    exec(route = '') {
+      const path = route[0] === DELIMITER ? route : DELIMITER + route;
+      const regexResult = regex.exec(path);
 
       if (regexResult === null) {
         return false;
       }
 
-      const result = namedSegments.reduce((_result, namedSegment) => {
-        _result[namedSegment[0]] = regexResult[namedSegment[1]];
+      const params = {};
+      try {
+        segments.filter(segment => segment.name).forEach((segment) => {
+          const value = regexResult[segment.group];
+          params[segment.name] = typeof value === 'undefined' ? undefined : decodeURIComponent(value);
+        });
+      } catch (error) {
+        // Malformed percent-encoding
+        return false;
+      }
 
-        return _result;
-      }, {});
+      return { params, path: regexResult[0] };
+    },
 
-      return result;
-    }
+    // Reverse match: { id: 42 } on /projects/:id --> /projects/42
+    encode(params = {}) {
+      const path = segments.map((segment) => {
+        if (!segment.name) {
+          return segment.literal;
+        }
 
-    // TODO: reverse match
-    // encode(obj) {
-    //   return segments
-    //     .map((segment, i) => {
-    //       if (typeof namedSegments[i] === 'number') {
-    //         return obj[segment];
-    //       }
-
-    //       return segment;
-    //     })
-    //     .join(DELIMITER);
-    // }
-  });
+        const value = params[segment.name];
+        if (typeof value === 'undefined' || value === null || value === '') {
+          if (segment.optional) {
+            return null;
+          }
+          throw new Error(`Missing param "${segment.name}" to build ${route}`);
+        }
 
-  function parseSegment(segment, index, segments) {
-    if (segment === MATCH_ANY || segment === '') {
-      return [index.toString(), segments.length === 1 ? STR_REGEX_MATCH_ANY : ANY_VALID_SEGMENT];
+        const encoded = segment.wildcard
+          ? String(value).split(DELIMITER).map(encodeURIComponent).join(DELIMITER)
+          : encodeURIComponent(String(value));
+
+        if (!new RegExp(`^(?:${segment.regex})$`).test(encoded) && !new RegExp(`^(?:${segment.regex})$`).test(String(value))) {
+          throw new Error(`Param "${segment.name}"="${value}" doesn't match ${route}`);
+        }
+
+        return encoded;
+      }).filter(segment => segment !== null);
+
+      return DELIMITER + path.join(DELIMITER);
     }
+  });
 
-    if (VALID_SEGMENT.test(segment)) {
-      return [segment];
+  function parseSegment(segment, index, segments) {
+    if (segment === MATCH_ANY) {
+      const isLast = index === segments.length - 1;
+      return { name: index.toString(), regex: isLast ? STR_REGEX_MATCH_ANY : ANY_VALID_SEGMENT, wildcard: isLast, optional: isLast };
     }
 
     if (segment[0] === NAMED_SEGMENT) {
       return parseNamedSegment(segment);
     }
 
+    if (VALID_LITERAL.test(segment)) {
+      return { literal: segment };
+    }
+
     throw new Error();
   }
 
@@ -105,17 +148,9 @@ function RouteParser(route = '', options = {}) {
   }
 
   function compileRoute(route) {
-    let _route = route;
-
-    if (route === DELIMITER) {
-      _route = MATCH_ANY;
-    }
-
     try {
-      const segments = _route
-        .replace(REGEX_SPACES_AND_TRAILING_SLASHES, '')
-        .split(DELIMITER)
-        .map(parseSegment);
+      const trimmed = route.trim().replace(REGEX_LEADING_AND_TRAILING_SLASHES, '');
+      const segments = trimmed === '' ? [] : trimmed.split(DELIMITER).map(parseSegment);
 
       return createRegex(segments);
     } catch (error) {
@@ -124,61 +159,59 @@ function RouteParser(route = '', options = {}) {
   }
 
   function createRegex(segments) {
-    const regexGroups = [];
-    const map = segments.reduce(mapSegments, { segments: [], namedSegments: [] });
-    const regex = new RegExp(`^/?${regexGroups.join(DELIMITER)}/?$`);
-
-    return { map, regex };
-
-    function mapSegments(result, segment, i) {
-      let regexGroup;
-      const [segmentName, segmentRegex] = segment;
-
-      if (segmentRegex) {
-        regexGroup = segmentRegex;
-
-        // create a map of named segments
-        // which maps to regex exec result, this is why we sum 1 to the index
-        result.namedSegments.push([segmentName, i + 1]);
-      } else {
-        regexGroup = segmentName;
+    let group = 0;
+    const delimiter = escapeRegex(DELIMITER);
+
+    const regexGroups = segments.map((segment) => {
+      if (!segment.name) {
+        const encoded = encodeURI(segment.literal);
+        const options = encoded === segment.literal
+          ? escapeRegex(segment.literal)
+          : `${escapeRegex(segment.literal)}|${escapeRegex(encoded)}`;
+        return `${delimiter}(?:${options})`;
       }
 
-      // create regex groups
-      regexGroups.push(`(${regexGroup})`);
-      result.segments.push(segmentName);
+      // create a map of named segments
+      // which maps to regex exec result
+      segment.group = ++group;
+      return segment.optional
+        ? `(?:${delimiter}(${segment.regex}))?`
+        : `${delimiter}(${segment.regex})`;
+    });
 
-      return result;
-    }
+    const regex = new RegExp(`^${regexGroups.join('')}${END ? `${delimiter}?$` : `(?=${delimiter}|$)`}`);
+
+    return { segments, regex };
   }
 
   function parseNamedSegment(segment) {
     const namedSegment = segment.slice(1).split(ASSIGNMENT);
     const namedSegmentLen = namedSegment.length;
-    const segmentName = namedSegment[0];
-    const segmentOptions = namedSegment[1];
 
-    if (VALID_SEGMENT.test(segmentName)) {
-      if (namedSegmentLen === 1) {
-        return [segmentName, ANY_VALID_SEGMENT];
-      }
-
-      if (namedSegmentLen === 2) {
-        return parseSegmentOptions(segmentName, segmentOptions);
-      }
+    if (namedSegmentLen === 2) {
+      return parseSegmentOptions(namedSegment[0], namedSegment[1]);
+    }
 
-      throw new Error();
+    const parts = namedSegmentLen === 1 ? NAMED_SEGMENT_PARTS.exec(namedSegment[0]) : null;
+    if (parts) {
+      return {
+        name: parts[1],
+        regex: parts[3] ? nonCapturing(parts[3]) : ANY_VALID_SEGMENT,
+        optional: Boolean(parts[4]),
+      };
     }
 
     throw new Error();
   }
 
   function parseSegmentOptions(segmentName, segmentOptions) {
-    if (IS_BEETWEN_PARENTHESES.test(segmentOptions)) {
-      const options = segmentOptions.slice(1, segmentOptions.length - 1).split(OR_SIGN);
+    const [, optionsList, optional] = LEGACY_OPTIONS_PARTS.exec(segmentOptions);
+
+    if (VALID_SEGMENT.test(segmentName) && IS_BEETWEN_PARENTHESES.test(optionsList)) {
+      const options = optionsList.slice(1, optionsList.length - 1).split(OR_SIGN);
 
       if (options.length > 1 && options.every(opt => VALID_SEGMENT.test(opt))) {
-        return [segmentName, options.join(OR_SIGN)];
+        return { name: segmentName, regex: options.join(OR_SIGN), optional: Boolean(optional) };
       }
 
       throw new Error();
@@ -186,4 +219,13 @@ function RouteParser(route = '', options = {}) {
 
     throw new Error();
   }
-}
\ No newline at end of file
+}
+
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+// Groups inside constraints would shift the named segments map
+function nonCapturing(regex) {
+  return regex.replace(/(?<!\\)\((?!\?)/g, '(?:');
+}
@@ -0,0 +1,184 @@
+/*//
+
+	Static files handler for custom protocols (protocol.handle)
+
+	- createStaticHandler(root, options) --> async (request) => Response
+		root:    absolute folder, nothing outside of it is served (".." and symlinks included)
+		options: {
+			index:        String, file served for folders, "index.html" by default
+			spa:          Boolean, unknown paths without extension get root index (client side routing)
+			cacheControl: String | Int seconds, Cache-Control header of files
+			headers:      Object, extra headers of files
+		}
+
+	- The url host is ignored: "app://bundle/js/main.js" --> root/js/main.js
+	- GET and HEAD only (405), 403 outside of root, 404 when missing
+	- Range requests (single range) answer with 206, 416 when unsatisfiable
+//*/
+
+
+const fs           = require("fs");
+const path         = require("path");
+const { Readable } = require("stream");
+
+const MIME_TYPES = {
+	".html": "text/html; charset=utf-8",
+	".htm":  "text/html; charset=utf-8",
+	".css":  "text/css; charset=utf-8",
+	".js":   "text/javascript; charset=utf-8",
+	".mjs":  "text/javascript; charset=utf-8",
+	".cjs":  "text/javascript; charset=utf-8",
+	".json": "application/json; charset=utf-8",
+	".map":  "application/json; charset=utf-8",
+	".txt":  "text/plain; charset=utf-8",
+	".md":   "text/markdown; charset=utf-8",
+	".csv":  "text/csv; charset=utf-8",
+	".xml":  "application/xml; charset=utf-8",
+	".svg":  "image/svg+xml",
+	".png":  "image/png",
+	".jpg":  "image/jpeg",
+	".jpeg": "image/jpeg",
+	".gif":  "image/gif",
+	".webp": "image/webp",
+	".avif": "image/avif",
+	".ico":  "image/x-icon",
+	".bmp":  "image/bmp",
+	".woff": "font/woff",
+	".woff2":"font/woff2",
+	".ttf":  "font/ttf",
+	".otf":  "font/otf",
+	".mp3":  "audio/mpeg",
+	".wav":  "audio/wav",
+	".ogg":  "audio/ogg",
+	".m4a":  "audio/mp4",
+	".flac": "audio/flac",
+	".mp4":  "video/mp4",
+	".webm": "video/webm",
+	".ogv":  "video/ogg",
+	".mov":  "video/quicktime",
+	".wasm": "application/wasm",
+	".pdf":  "application/pdf",
+	".zip":  "application/zip",
+};
+
+const getMimeType = (filePath) => MIME_TYPES[ path.extname(filePath).toLowerCase() ] || "application/octet-stream";
+
+
+const textResponse = (status, message, headers = {}) => new Response(message, {
+	status,
+	headers: { "Content-Type": "text/plain; charset=utf-8", ...headers },
+});
+
+
+// "bytes=0-499" --> { start, end }, null when unsatisfiable, undefined to send the whole file
+const parseRange = (header, size) => {
+	if (!header) return undefined;
+	const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+	// Multiple ranges aren't supported: the whole file is sent
+	if (!match) return undefined;
+
+	let start = match[1] === "" ? undefined : parseInt(match[1]);
+	let end   = match[2] === "" ? undefined : parseInt(match[2]);
+	if (typeof start === "undefined") {
+		// Suffix: last N bytes
+		if (typeof end === "undefined" || end === 0) return null;
+		start = Math.max(0, size - end);
+		end   = size - 1;
+	}
+	if (typeof end === "undefined" || end >= size) { end = size - 1; }
+	if (start > end || start >= size) return null;
+	return { start, end };
+};
+
+
+const isInside = (root, target) => target === root || target.startsWith(root.endsWith(path.sep) ? root : root + path.sep);
+
+
+function createStaticHandler(root, options = {}) {
+	if (!root || !path.isAbsolute(root)) throw new Error(`Static root must be an absolute path, got "${ root }"`);
+	const index        = options.index || "index.html";
+	const cacheControl = Number.isInteger(options.cacheControl) ? `max-age=${ options.cacheControl }` : options.cacheControl;
+	let realRoot       = undefined;
+
+	// Resolved file inside root, { status } otherwise
+	const resolveFile = async (pathname) => {
+		let decoded = undefined;
+		try {
+			decoded = decodeURIComponent(pathname);
+		} catch(error) {
+			return { status: 400 };
+		}
+		if (decoded.indexOf("\0") > -1) return { status: 400 };
+		if (decoded.split(/[\\/]/).indexOf("..") > -1) return { status: 403 };
+
+		if (!realRoot) { realRoot = await fs.promises.realpath(root); }
+		const target = path.join(realRoot, path.normalize(decoded));
+		if (!isInside(realRoot, target)) return { status: 403 };
+
+		let filePath = target;
+		let stats    = undefined;
+		try {
+			// Symlinks pointing outside of root are refused
+			filePath = await fs.promises.realpath(target);
+			if (!isInside(realRoot, filePath)) return { status: 403 };
+			stats = await fs.promises.stat(filePath);
+			if (stats.isDirectory()) {
+				filePath = await fs.promises.realpath(path.join(filePath, index));
+				if (!isInside(realRoot, filePath)) return { status: 403 };
+				stats = await fs.promises.stat(filePath);
+			}
+		} catch(error) {
+			return { status: 404 };
+		}
+		return stats.isFile() ? { filePath, stats } : { status: 404 };
+	};
+
+	const sendFile = (request, { filePath, stats }) => {
+		const headers = {
+			...(options.headers || {}),
+			"Content-Type": getMimeType(filePath),
+			"Accept-Ranges": "bytes",
+			"Last-Modified": stats.mtime.toUTCString(),
+		};
+		if (cacheControl) { headers[ "Cache-Control" ] = cacheControl; }
+
+		const range = parseRange(request.headers.get("range"), stats.size);
+		if (range === null) {
+			return textResponse(416, "Range Not Satisfiable", { "Content-Range": `bytes */${ stats.size }` });
+		}
+
+		const status = range ? 206 : 200;
+		const { start, end } = range || { start: 0, end: stats.size - 1 };
+		headers[ "Content-Length" ] = String(stats.size === 0 ? 0 : end - start + 1);
+		if (range) { headers[ "Content-Range" ] = `bytes ${ start }-${ end }/${ stats.size }`; }
+
+		const body = request.method === "HEAD" || stats.size === 0
+			? null
+			: Readable.toWeb(fs.createReadStream(filePath, { start, end }));
+		return new Response(body, { status, headers });
+	};
+
+	return async (request) => {
+		if (request.method !== "GET" && request.method !== "HEAD") {
+			return textResponse(405, "Method Not Allowed", { "Allow": "GET, HEAD" });
+		}
+
+		const { pathname } = new URL(request.url);
+		let file = await resolveFile(pathname);
+
+		// Client side routes: "/projects/42" --> index
+		if (file.status === 404 && options.spa && path.extname(pathname) === "") {
+			file = await resolveFile(`/${ index }`);
+		}
+
+		switch (file.status) {
+			case 400: return textResponse(400, "Bad Request");
+			case 403: return textResponse(403, "Forbidden");
+			case 404: return textResponse(404, "Not Found");
+			default:  return sendFile(request, file);
+		}
+	};
+}
+
+
+module.exports = { createStaticHandler, getMimeType, parseRange };
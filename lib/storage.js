@@ -0,0 +1,67 @@
+/*//
+
+	Settings storage adapters
+
+	An adapter saves text payloads by name:
+	{
+		read(name)            --> String | undefined, sync: settings load on first use
+		write(name, data)     --> Promise, expected to be atomic
+		writeSync(name, data) --> optional, used when the app quits (write otherwise)
+		path(name)            --> optional, location shown by settings.getFilePath()
+	}
+
+	- fileAdapter({ directory }) files in directory (String or Function resolved on first use),
+	  writes go to a temp file renamed over the previous one
+	- memoryAdapter(files?) keeps payloads in memory, files: { name: data } initial content
+//*/
+
+
+const fs   = require("fs");
+const path = require("path");
+
+
+function fileAdapter({ directory } = {}) {
+	if (!directory) throw new Error("fileAdapter expects a directory");
+	const resolve = (name) => path.join(typeof directory === "function" ? directory() : directory, name);
+
+	return {
+		path: resolve,
+
+		read(name) {
+			const filePath = resolve(name);
+			return fs.existsSync(filePath) ? fs.readFileSync(filePath).toString() : undefined;
+		},
+
+		// Atomic: a crash mid-write leaves the previous file untouched
+		async write(name, data) {
+			const filePath = resolve(name);
+			await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+			await fs.promises.writeFile(`${ filePath }.tmp`, data);
+			await fs.promises.rename(`${ filePath }.tmp`, filePath);
+		},
+
+		writeSync(name, data) {
+			const filePath = resolve(name);
+			fs.mkdirSync(path.dirname(filePath), { recursive: true });
+			fs.writeFileSync(`${ filePath }.tmp`, data);
+			fs.renameSync(`${ filePath }.tmp`, filePath);
+		},
+	};
+}
+
+
+// Nothing touches the disk, eg: tests
+function memoryAdapter(files = {}) {
+	return {
+		files,
+		read(name) { return files[ name ]; },
+		async write(name, data) { files[ name ] = data; },
+		writeSync(name, data) { files[ name ] = data; },
+	};
+}
+
+
+const isAdapter = (adapter) => Boolean(adapter) && typeof adapter.read === "function" && typeof adapter.write === "function";
+
+
+module.exports = { fileAdapter, memoryAdapter, isAdapter };
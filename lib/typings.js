@@ -0,0 +1,195 @@
+/*//
+
+	TypeScript typings for the renderer bridge (window[ apiName ])
+
+	- generateTypings({ apiName, routes, events }) returns the content of a .d.ts
+	  routes: [{ method, route, schema }] as listed by APIClass.describe
+	  events: names listened by electrolite.on / win.on, accepted by emit
+
+	- Routes become template literal overloads: "/projects/:id" --> `/projects/${ string }`
+	  (or `${ number }` when the params schema says so), optional segments give
+	  one overload with and one without, query strings are accepted on any route
+
+	- Route schemas type the body (post, put, patch, delete) and the result (response),
+	  everything else is unknown
+//*/
+
+
+const BODY_METHODS = [ "post", "put", "patch", "delete" ];
+const VERBS        = [ "get", ...BODY_METHODS ];
+const SEGMENT      = /^:([a-z0-9_-]+)(?:=\((.+)\)|\((.+)\))?(\?)?$/i;
+const INDENT       = "\t";
+
+
+const quote = (str) => JSON.stringify(str);
+
+// Characters that would end a template literal type
+const escapeTemplate = (str) => str.replace(/[`\\]/g, "\\$&").replace(/\$\{/g, "\\${");
+
+
+// JSON-Schema subset (see lib/validator.js) to a TypeScript type
+function schemaToType(schema, depth = 1) {
+	if (!schema || typeof schema !== "object") return "unknown";
+
+	if (Array.isArray(schema.enum)) return schema.enum.map((value) => JSON.stringify(value)).join(" | ") || "never";
+	if (typeof schema.const !== "undefined") return JSON.stringify(schema.const);
+
+	const types = Array.isArray(schema.type) ? schema.type : (schema.type ? [ schema.type ] : []);
+	if (types.length === 0 && schema.properties) { types.push("object"); }
+	if (types.length === 0) return "unknown";
+
+	const pad = INDENT.repeat(depth);
+	return types.map((type) => {
+		switch (type) {
+			case "string":  return "string";
+			case "number":
+			case "integer": return "number";
+			case "boolean": return "boolean";
+			case "null":    return "null";
+			case "array":   return `Array<${ schemaToType(schema.items, depth) }>`;
+			case "object": {
+				const properties = schema.properties || {};
+				const required   = schema.required || [];
+				const lines = Object.keys(properties).map((key) => {
+					const optional = required.indexOf(key) > -1 ? "" : "?";
+					return `${ pad }${ quote(key) }${ optional }: ${ schemaToType(properties[ key ], depth + 1) };`;
+				});
+
+				if (schema.additionalProperties !== false && (schema.additionalProperties || lines.length === 0)) {
+					const extra = typeof schema.additionalProperties === "object" ? schemaToType(schema.additionalProperties, depth + 1) : "unknown";
+					lines.push(`${ pad }[key: string]: ${ extra };`);
+				}
+				return lines.length > 0 ? `{\n${ lines.join("\n") }\n${ INDENT.repeat(depth - 1) }}` : "{}";
+			}
+			default: return "unknown";
+		}
+	}).join(" | ");
+}
+
+
+// "/projects/:id/:tab?" --> [ `/projects/${ string }`, `/projects/${ string }/${ string }` ]
+function routeToLiterals(route, schema = {}) {
+	const params   = (schema.params && schema.params.properties) || {};
+	let variations = [ "" ];
+
+	route.split("/").filter((segment) => segment.length > 0).forEach((segment) => {
+		const named = SEGMENT.exec(segment);
+		let type    = escapeTemplate(segment);
+		let optional = false;
+
+		if (segment === "*") {
+			type = "${ string }";
+		} else if (named) {
+			const paramType = params[ named[1] ] ? schemaToType(params[ named[1] ]) : "string";
+			const options   = named[2] ? named[2].split("|").map(quote).join(" | ") : null;
+			type     = "${ " + (options || (paramType === "number" ? "number" : "string")) + " }";
+			optional = Boolean(named[4]);
+		}
+
+		const extended = variations.map((base) => `${ base }/${ type }`);
+		variations = optional ? [ ...variations, ...extended ] : extended;
+	});
+
+	return variations.map((literal) => literal || "/");
+}
+
+
+const routeType = (literal) => {
+	const base = "`" + literal + "`";
+	return `${ base } | \`${ literal }?\${ string }\``;
+};
+
+
+function generateTypings({ apiName = "_API_", routes = [], events = [] } = {}) {
+	const lines    = [];
+	const byMethod = {};
+	VERBS.forEach((verb) => { byMethod[ verb ] = []; });
+
+	routes.forEach(({ method, route, schema }) => {
+		const verbs = method === "all" ? VERBS : [ method ];
+		verbs.forEach((verb) => {
+			if (!byMethod[ verb ]) return;
+			routeToLiterals(route, schema).forEach((literal) => {
+				const key = `${ verb } ${ literal }`;
+				if (byMethod[ verb ].some((e) => e.key === key)) return;
+				byMethod[ verb ].push({ key, literal, schema: schema || {} });
+			});
+		});
+	});
+
+	const allRoutes = [];
+	VERBS.forEach((verb) => {
+		byMethod[ verb ].forEach(({ literal, schema }) => {
+			const result = schemaToType(schema.response, 2);
+			const body   = schemaToType(schema.body, 2);
+			const args   = BODY_METHODS.indexOf(verb) > -1
+				? `route: ${ routeType(literal) }, values${ schema.body ? "" : "?" }: ${ body }`
+				: `route: ${ routeType(literal) }`;
+
+			lines.push(`${ INDENT }${ verb }(${ args }): Promise<${ result }>;`);
+			lines.push(`${ INDENT }request(method: ${ quote(verb) }, ${ args }): Promise<ElectroliteEnvelope<${ result }>>;`);
+			allRoutes.push(routeType(literal));
+		});
+	});
+
+	const eventNames = [ ...new Set(events) ].map(quote);
+	const routeUnion = [ ...new Set(allRoutes) ].join(" | ") || "never";
+
+	return [
+		"// Generated by electrolite, do not edit",
+		"// Regenerate after changing routes or events",
+		"",
+		"export interface ElectroliteError {",
+		`${ INDENT }name: "HttpError";`,
+		`${ INDENT }status: number;`,
+		`${ INDENT }code: string;`,
+		`${ INDENT }message: string;`,
+		`${ INDENT }details?: unknown;`,
+		"}",
+		"",
+		"export interface ElectroliteEnvelope<T> {",
+		`${ INDENT }status: number;`,
+		`${ INDENT }body: T;`,
+		`${ INDENT }headers: Record<string, string>;`,
+		"}",
+		"",
+		"export interface ElectroliteStream<T = unknown> {",
+		`${ INDENT }next(): Promise<IteratorResult<T, undefined>>;`,
+		`${ INDENT }return(): Promise<IteratorResult<T, undefined>>;`,
+		`${ INDENT }cancel(): Promise<IteratorResult<T, undefined>>;`,
+		"}",
+		"",
+		`export type ElectroliteEvent = ${ eventNames.join(" | ") || "never" };`,
+		"",
+		`export type ElectroliteRoute = ${ routeUnion };`,
+		"",
+		"export interface ElectroliteBridge {",
+		...lines,
+		`${ INDENT }stream(route: ElectroliteRoute, values?: unknown, options?: { method?: ${ VERBS.map(quote).join(" | ") } }): ElectroliteStream;`,
+		`${ INDENT }on(event: string, callback: (event: unknown, ...data: any[]) => void): void;`,
+		`${ INDENT }detach(event: string, callback: (event: unknown, ...data: any[]) => void): void;`,
+		`${ INDENT }emit(event: ElectroliteEvent, ...data: unknown[]): void;`,
+		`${ INDENT }handle(name: string, callback: (args: any) => unknown): void;`,
+		`${ INDENT }removeHandler(name: string): void;`,
+		`${ INDENT }emitTo(windowName: string, event: string, ...data: unknown[]): void;`,
+		`${ INDENT }broadcast(event: string, data?: unknown, options?: { excludeSelf?: boolean; channel?: string }): void;`,
+		`${ INDENT }join(channel: string): void;`,
+		`${ INDENT }leave(channel: string): void;`,
+		`${ INDENT }settings: {`,
+		`${ INDENT }${ INDENT }get(key: string): Promise<unknown>;`,
+		`${ INDENT }${ INDENT }set(key: string, value: unknown): Promise<unknown>;`,
+		`${ INDENT }${ INDENT }watch(key: string, callback: (value: unknown, previous: unknown, key: string) => void): Promise<() => void>;`,
+		`${ INDENT }};`,
+		"}",
+		"",
+		"declare global {",
+		`${ INDENT }interface Window {`,
+		`${ INDENT }${ INDENT }${ quote(apiName) }: ElectroliteBridge;`,
+		`${ INDENT }}`,
+		"}",
+		"",
+	].join("\n");
+}
+
+
+module.exports = { generateTypings, schemaToType, routeToLiterals };
@@ -0,0 +1,134 @@
+/*//
+
+	JSON-Schema subset validator, used by route schemas
+
+	- Supported keywords: type, enum, const, properties, required,
+	  additionalProperties, items, minItems, maxItems, minLength, maxLength,
+	  pattern, minimum, maximum
+	- validate(schema, value) returns a list of { path, message }, empty when valid
+	- coerce(schema, value) converts strings from urls (params, query)
+	  to the number/integer/boolean the schema expects
+//*/
+
+
+const typeOf = (value) => {
+	if (value === null) return 'null';
+	if (Array.isArray(value)) return 'array';
+	if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+	return typeof value;
+};
+
+const matchesType = (type, value) => {
+	const actual = typeOf(value);
+	if (type === 'number') return actual === 'number' || actual === 'integer';
+	return actual === type;
+};
+
+
+function validate(schema, value, path = '') {
+	const errors = [];
+	const fail = (message) => errors.push({ path: path || '/', message });
+
+	if (!schema || typeof schema !== 'object') {
+		return errors;
+	}
+
+	if (schema.type) {
+		const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+		if (!types.some(type => matchesType(type, value))) {
+			fail(`should be ${ types.join(' or ') }`);
+			return errors;
+		}
+	}
+
+	if (Array.isArray(schema.enum) && !schema.enum.some(option => option === value)) {
+		fail(`should be one of ${ schema.enum.map(option => JSON.stringify(option)).join(', ') }`);
+	}
+
+	if (typeof schema.const !== 'undefined' && schema.const !== value) {
+		fail(`should be ${ JSON.stringify(schema.const) }`);
+	}
+
+	if (typeof value === 'string') {
+		if (typeof schema.minLength === 'number' && value.length < schema.minLength) fail(`should have at least ${ schema.minLength } characters`);
+		if (typeof schema.maxLength === 'number' && value.length > schema.maxLength) fail(`should have at most ${ schema.maxLength } characters`);
+		if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail(`should match ${ schema.pattern }`);
+	}
+
+	if (typeof value === 'number') {
+		if (typeof schema.minimum === 'number' && value < schema.minimum) fail(`should be >= ${ schema.minimum }`);
+		if (typeof schema.maximum === 'number' && value > schema.maximum) fail(`should be <= ${ schema.maximum }`);
+	}
+
+	if (Array.isArray(value)) {
+		if (typeof schema.minItems === 'number' && value.length < schema.minItems) fail(`should have at least ${ schema.minItems } items`);
+		if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) fail(`should have at most ${ schema.maxItems } items`);
+		if (schema.items) {
+			value.forEach((item, i) => errors.push(...validate(schema.items, item, `${ path }/${ i }`)));
+		}
+	}
+
+	if (typeOf(value) === 'object') {
+		const properties = schema.properties || {};
+
+		// Own properties only: inherited members (toString, constructor...) aren't values
+		(schema.required || []).forEach((key) => {
+			if (!Object.hasOwn(value, key) || typeof value[key] === 'undefined') errors.push({ path: `${ path }/${ key }`, message: 'is required' });
+		});
+
+		Object.keys(value).forEach((key) => {
+			if (Object.hasOwn(properties, key)) {
+				errors.push(...validate(properties[key], value[key], `${ path }/${ key }`));
+			} else if (schema.additionalProperties === false) {
+				errors.push({ path: `${ path }/${ key }`, message: 'is not allowed' });
+			} else if (typeof schema.additionalProperties === 'object') {
+				errors.push(...validate(schema.additionalProperties, value[key], `${ path }/${ key }`));
+			}
+		});
+	}
+
+	return errors;
+}
+
+
+function coerce(schema, value) {
+	if (!schema || typeof schema !== 'object') {
+		return value;
+	}
+
+	if (typeOf(value) === 'object' && schema.properties) {
+		const result = { ...value };
+		Object.keys(schema.properties).forEach((key) => {
+			if (Object.hasOwn(result, key) && typeof result[key] !== 'undefined') result[key] = coerce(schema.properties[key], result[key]);
+		});
+		return result;
+	}
+
+	if (Array.isArray(value) && schema.items) {
+		return value.map(item => coerce(schema.items, item));
+	}
+
+	if (typeof value !== 'string') {
+		return value;
+	}
+
+	const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+	if (types.indexOf('string') > -1) return value;
+
+	if ((types.indexOf('number') > -1 || types.indexOf('integer') > -1) && value.trim() !== '' && !isNaN(Number(value))) {
+		return Number(value);
+	}
+
+	if (types.indexOf('boolean') > -1 && (value === 'true' || value === 'false')) {
+		return value === 'true';
+	}
+
+	if (types.indexOf('array') > -1) {
+		return coerce(schema, [value]);
+	}
+
+	return value;
+}
+
+
+module.exports = { validate, coerce };